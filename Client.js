@@ -8,76 +8,164 @@ const path = require('path');
 const Message = require("./structures/Message");
 const User = require("./structures/User");
 const Channel = require("./structures/Channel");
+const ChannelMember = require("./structures/ChannelMember");
+const Permissions = require("./structures/Permissions");
+const MessageMentions = require("./structures/MessageMentions");
+const Attachment = require("./structures/Attachment");
+const MessagePayload = require("./structures/MessagePayload");
 const Emoji = require("./structures/Emoji");
 const Sticker = require("./structures/Sticker");
+const MessageCollector = require("./structures/MessageCollector");
+const CommandHandler = require("./structures/CommandHandler");
 
 const { MessageEmbed, MessageAttachment } = require("./structures/Util");
-const { formatUrl } = require("./helpers");
-
-let global = {
-  token: "",
-  apiUrl: "https://api-bots.beniocord.site"
-};
+const {
+  formatUrl,
+  computeBackoff,
+  sleep,
+  splitMessage,
+  generateNonce,
+  compareIds,
+  DEFAULT_API_URL,
+  DEFAULT_CDN_URL,
+  MAX_MESSAGE_LENGTH,
+} = require("./helpers");
+const Formatters = require("./helpers/Formatters");
+const RequestManager = require("./helpers/RequestManager");
+const SendQueue = require("./helpers/SendQueue");
+const GatewayRequestManager = require("./helpers/GatewayRequestManager");
+const DispatchPipeline = require("./helpers/DispatchPipeline");
+const CacheManager = require("./helpers/CacheManager");
+const LimitedCollection = require("./helpers/LimitedCollection");
+const UserManager = require("./managers/UserManager");
+const ChannelManager = require("./managers/ChannelManager");
+const EmojiManager = require("./managers/EmojiManager");
+const StickerManager = require("./managers/StickerManager");
+const ChannelMemberManager = require("./managers/ChannelMemberManager");
+const {
+  ClientError,
+  HTTPError,
+  RateLimitError,
+  PermissionError,
+  GatewayError,
+  ValidationError
+} = require("./helpers/Errors");
 
 class Client extends EventEmitter {
   /**
    * @typedef {Object} ClientEvents
    * @property {User} ready - Fired when the client finishes connecting
    * @property {Message} messageCreate - Fired when a new message is created
-   * @property {Message} messageUpdate - Fired when a message is updated
-   * @property {Message} messageDelete - Fired when a message is deleted
-   * @property {Channel} channelCreate - Fired when a new channel is created
-   * @property {Channel} channelDelete - Fired when a channel is deleted
-   * @property {Channel} channelUpdate - Fired when a channel is updated
-   * @property {{channel: Channel, member: User}} channelMemberAdd - Fired when a member joins a channel
-   * @property {{channel: Channel, member: User}} channelMemberRemove - Fired when a member leaves a channel
-   * @property {User} channelMemberUpdate - Fired when a member updates their info in a channel
-   * @property {Emoji} emojiCreate - Fired when a new emoji is created
+   * @property {Message} messageEdit - Fired when a message is edited, with the updated Message and a snapshot of it before the edit (or null)
+   * @property {{messageId: string, channelId?: string}} messageDelete - Fired when a message is deleted, with the raw data and the cached Message (or null)
+   * @property {{channelId: string, userId: string, username?: string}} typingStart - Fired when a user starts typing
+   * @property {{channelId: string, userId: string, username?: string}} typingStop - Fired when a user stops typing
+   * @property {{userId: string, status: string, lastSeen?: string}} userStatusUpdate - Fired when a user changes status
+   * @property {{channel: Channel, member: ChannelMember}} memberJoin - Fired when a member joins a channel
+   * @property {{channel: Channel, member: ChannelMember}} memberLeave - Fired when a member leaves a channel
+   * @property {{channel: Channel, member: ChannelMember, oldRole: string|null}} memberUpdate - Fired when the role of a member changes
+   * @property {Channel} channelCreate - Fired when the bot gains access to a new channel
+   * @property {Channel} channelUpdate - Fired when a channel is updated, with the updated Channel and a snapshot of it before the update (or null)
+   * @property {Channel} channelDelete - Fired when a channel is deleted, with the last known Channel
+   * @property {Emoji} emojiCreate - Fired when an emoji is created
    * @property {Emoji} emojiDelete - Fired when an emoji is deleted
+   * @property {Sticker} stickerCreate - Fired when a sticker is created
+   * @property {Sticker} stickerDelete - Fired when a sticker is deleted
+   * @property {{source: 'rest', route: string, method: string, limit: number, timeout: number, resetAt: number, global: boolean}|{source: 'gateway', channelId?: string, retryAfter?: number, resetAt?: string}} rateLimited - Fired when a REST route or the gateway hits a rate limit, told apart by `source`
+   * @property {{event: string, data: *}} raw - Fired for every packet received from the gateway, before it is handled
    * @property {Error} error - Fired when an error occurs
-   * @property {void} disconnect - Fired when disconnected from the gateway
-   * @property {void} reconnect - Fired when reconnecting to the gateway
+   * @property {string} disconnect - Fired when disconnected from the gateway, with the reason
+   * @property {number} reconnect - Fired when the client is connected again, with the attempt number
+   * @property {{attempt: number, delay: number|null, type: string}} reconnecting - Fired before every reconnection attempt
+   * @property {ClientError} invalidated - Fired when the token was revoked and the client gave up reconnecting
+   * @property {{channels: number, replayed: number}} resumed - Fired after a reconnect once missed messages were replayed
    * 
    * @fires Client#ready
    * @fires Client#messageCreate
-   * @fires Client#messageDelete
    * @fires Client#messageEdit
-   * @fires Client#error
-   * @fires Client#disconnect
-   * @fires Client#reconnect
+   * @fires Client#messageDelete
+   * @fires Client#typingStart
+   * @fires Client#typingStop
+   * @fires Client#userStatusUpdate
+   * @fires Client#memberJoin
+   * @fires Client#memberLeave
+   * @fires Client#memberUpdate
+   * @fires Client#channelCreate
+   * @fires Client#channelUpdate
+   * @fires Client#channelDelete
    * @fires Client#emojiCreate
    * @fires Client#emojiDelete
    * @fires Client#stickerCreate
    * @fires Client#stickerDelete
-   * @fires Client#channelCreate
-   * @fires Client#channelDelete
-   * @fires Client#channelUpdate
-   * @fires Client#channelMemberAdd
-   * @fires Client#channelMemberRemove
-   * @fires Client#channelMemberUpdate
-   * @fires Client#typingStart
-   * @fires Client#typingStop
+   * @fires Client#rateLimited
+   * @fires Client#raw
+   * @fires Client#error
+   * @fires Client#disconnect
+   * @fires Client#reconnect
+   * @fires Client#reconnecting
+   * @fires Client#invalidated
+   * @fires Client#resumed
    * @class Client
    * @description The main class of BenioCord.js, responsible for managing API communication and bot events.
    * @param {Object} options - Client configuration options
    * @param {string} options.token - Bot token used for authentication
+   * @param {string} [options.apiUrl] - Base URL of the REST API and gateway
+   * @param {string} [options.cdnUrl] - Base URL used to resolve relative asset paths
+   * @param {number} [options.connectionTimeout=15000] - Gateway connection timeout in ms
+   * @param {number} [options.requestTimeout=10000] - REST request timeout in ms
+   * @param {number} [options.ackTimeout=10000] - How long gateway requests wait for the server to answer, in ms
+   * @param {boolean} [options.retryOnReconnect=false] - Emit idempotent gateway requests (sends, edits,
+   * deletes, status updates) again after a reconnect instead of rejecting them when the connection drops
+   * @param {boolean} [options.ignoreSelf=true] - Keeps messages written by the bot out of `messageCreate`
+   * @param {boolean} [options.ignoreBots=false] - Keeps messages written by other bots out of `messageCreate`
+   * @param {number} [options.notFoundTTL=0] - How long users, channels, emojis and stickers the API answered
+   * 404 for are not fetched again, in ms. Off by default: an ID created meanwhile stays missing until it expires
+   * @param {boolean} [options.hydrateMembers=true] - Fetches the member list of a channel when a command
+   * permission check needs a member that is not cached. Explicit fetches, like `fetchPermissionsFor`, always fetch
+   * @param {Object} [options.dispatch] - How message and member events are dispatched, see {@link DispatchPipeline}
+   * @param {number} [options.dispatch.limit=50] - Most events hydrated at once, the rest wait for a free slot
+   * @param {function(Object): void} [options.dispatch.onDispatch] - Called with `{event, channelId, receivedAt, latency}`
+   * after every event is emitted, to measure dispatch latency
+   * @param {number} [options.maxRetries=3] - Maximum connection attempts
+   * @param {number} [options.reconnectionDelay=1000] - Delay between reconnection attempts in ms
+   * @param {Object|false} [options.reconnect] - Reconnection strategy, or false to never log in again on its own
+   * @param {number} [options.reconnect.maxAttempts=Infinity] - Login attempts after the socket gives up
+   * @param {number} [options.reconnect.baseDelay=1000] - Delay before the first attempt in ms
+   * @param {number} [options.reconnect.maxDelay=60000] - Upper bound for the delay in ms
+   * @param {number} [options.reconnect.factor=2] - Growth factor of the delay per attempt
+   * @param {number} [options.reconnect.jitter=0.5] - Random share (0 to 1) taken off each delay
+   * @param {number} [options.retryLimit=3] - How many times a rate limited REST request is retried
+   * @param {number} [options.resumeLimit=500] - Maximum messages fetched per channel to replay after a reconnect
+   * @param {number} [options.maxMessageLength=2000] - Longest message content accepted before sending
+   * @param {Object} [options.commands] - Options of the command handler, see {@link CommandHandler}
+   * @param {Object} [options.cache] - Size limits, TTLs and stores per cache type, see {@link CacheManager}
    * @example
    * const Beniocord = require('beniocord.js');
    * const client = new Beniocord({ token: 'YOUR_BOT_TOKEN' });
    * client.login();
+   * @example
+   * // Pointing a bot at a self-hosted server
+   * const staging = new Beniocord({
+   *   token: 'STAGING_BOT_TOKEN',
+   *   apiUrl: 'https://api-bots.staging.example.com',
+   *   cdnUrl: 'https://cdn.staging.example.com'
+   * });
    */
-  constructor({ token }) {
+  constructor({ token, apiUrl = DEFAULT_API_URL, cdnUrl = DEFAULT_CDN_URL, ...config } = {}) {
     super();
 
     if (!token || typeof token !== 'string' || token.trim() === '') {
-      throw new ClientError("Valid token is required", "INVALID_TOKEN");
+      throw new ValidationError("Valid token is required", "INVALID_TOKEN");
     }
 
-    // Global configuration
-    global.token = token.trim();
+    // Per-client connection settings
+    Object.defineProperty(this, 'token', { value: token.trim(), writable: true });
+    this.apiUrl = apiUrl.replace(/\/+$/, '');
+    this.cdnUrl = cdnUrl.replace(/\/+$/, '');
 
     // Client state
     this.socket = null;
+    this._socketHandlers = new Map();
     this.user = null;
     this.isConnected = false;
     this.isReady = false;
@@ -88,54 +176,128 @@ class Client extends EventEmitter {
     this.config = {
       connectionTimeout: 15000,
       requestTimeout: 10000,
+      ackTimeout: 10000,
+      retryOnReconnect: false,
       maxRetries: 3,
       reconnectionDelay: 1000,
+      retryLimit: 3,
+      resumeLimit: 500,
+      maxMessageLength: MAX_MESSAGE_LENGTH,
+      ignoreSelf: true,
+      ignoreBots: false,
+      hydrateMembers: true,
+      notFoundTTL: 0,
+      ...config,
+    };
+
+    this.config.reconnect = config.reconnect === false ? false : {
+      maxAttempts: Infinity,
+      baseDelay: this.config.reconnectionDelay,
+      maxDelay: 60000,
+      factor: 2,
+      jitter: 0.5,
+      ...config.reconnect,
     };
 
     this.retryCount = 0;
     this.heartbeatInterval = null;
 
+    // Whether the client should log in again when the connection is lost
+    this._shouldReconnect = false;
+    this._reconnecting = false;
+
     // Cache system
+    this.caches = new CacheManager(this, this.config.cache);
     this.cache = {
-      users: new Map(),
-      channels: new Map(),
+      users: this.caches.create('users'),
+      channels: this.caches.create('channels'),
       messages: new Map(),
-      emojis: new Map(),
-      stickers: new Map(),
+      emojis: this.caches.create('emojis'),
+      stickers: this.caches.create('stickers'),
     };
 
-    // Track sent messages to avoid duplicates
-    this._sentMessages = new Set();
+    // Managers, sharing the stores above
+    this.users = new UserManager(this);
+    this.channels = new ChannelManager(this);
+    this.emojis = new EmojiManager(this);
+    this.stickers = new StickerManager(this);
+
+    // Nonces of recently sent messages, which recognize their echoes even before the ack arrives
+    this._sentNonces = new LimitedCollection({ maxSize: 1000, ttl: 5 * 60 * 1000 });
+
+    // Nonces whose echo already arrived, so the same message broadcast again is not emitted twice
+    this._echoedNonces = new LimitedCollection({ maxSize: 1000, ttl: 5 * 60 * 1000 });
+
+    // Messages as they were before the bot edited or deleted them, handed to the events the change echoes as
+    this._ownChanges = new LimitedCollection({ maxSize: 1000, ttl: 5 * 60 * 1000 });
+
+    // Last message seen per channel, used to replay missed messages after a reconnect
+    this._lastMessageIds = new Map();
+
+    // Keeps outgoing messages in order per channel and holds them while rate limited
+    this.sendQueue = new SendQueue({ retryLimit: this.config.retryLimit });
+
+    // Emits message and member events in arrival order per channel, however long they take to hydrate
+    this.pipeline = new DispatchPipeline({
+      ...this.config.dispatch,
+      onError: (error) => this.emit("error", error)
+    });
+
+    // Settles gateway requests with their ack, a timeout or the loss of the connection
+    this.gateway = new GatewayRequestManager(this, {
+      timeout: this.config.ackTimeout,
+      retryOnReconnect: this.config.retryOnReconnect
+    });
 
     // Setup axios instance
     this._axios = axios.create({
-      baseURL: global.apiUrl,
+      baseURL: this.apiUrl,
       timeout: this.config.requestTimeout,
       headers: {
-        'Authorization': `Bearer ${global.token}`,
-        'x-bot-token': global.token,
+        'Authorization': `Bearer ${this.token}`,
+        'x-bot-token': this.token,
         'Content-Type': 'application/json',
-        'Origin': global.apiUrl
+        'Origin': this.apiUrl
       }
     });
 
+    // Queues requests per route and retries them after HTTP 429
+    this.rest = new RequestManager(this, this._axios, {
+      retryLimit: this.config.retryLimit
+    });
+
     this._axios.interceptors.response.use(
       response => response,
       error => this._handleAxiosError(error)
     );
 
-    // Clean up sent messages cache periodically
-    setInterval(() => {
-      if (this._sentMessages.size > 1000) {
-        this._sentMessages.clear();
-      }
-    }, 30 * 60 * 1000);
+    this._commands = null;
+    if (this.config.commands) {
+      this._commands = new CommandHandler(this, this.config.commands);
+    }
   }
 
   // ============================================================================
   // PUBLIC API METHODS - Authentication & Connection
   // ============================================================================
 
+  /**
+   * The command handler of this client, created on first access
+   * @type {CommandHandler}
+   * @example
+   * client.commands.register({
+   *   name: 'ping',
+   *   description: 'Replies with pong',
+   *   run: (msg) => msg.reply('Pong!')
+   * });
+   */
+  get commands() {
+    if (!this._commands) {
+      this._commands = new CommandHandler(this, this.config.commands || {});
+    }
+    return this._commands;
+  }
+
   /**
    * Validates the bot token with the API
    * @returns {Promise<Object>} Validation response
@@ -174,6 +336,7 @@ class Client extends EventEmitter {
       await this._joinAllChannelRooms();
 
       this.isReady = true;
+      this._shouldReconnect = true;
 
       /**
        * @event Client#ready
@@ -200,33 +363,20 @@ class Client extends EventEmitter {
    * @returns {void}
    */
   disconnect() {
-    this._stopHeartbeat();
-
-    if (this.socket) {
-      if (this.isConnected) {
-        this.socket.emit("presence:update", {
-          isPageVisible: false,
-          isAppFocused: false,
-          status: "offline",
-          clientType: "bot"
-        });
-      }
+    this._shouldReconnect = false;
 
-      this._removeSocketHandlers();
-
-      this.socket.off("connect");
-      this.socket.off("disconnect");
-      this.socket.off("connect_error");
-      this.socket.off("reconnect");
-      this.socket.off("reconnect_error");
-      this.socket.off("reconnect_failed");
-
-      this.socket.disconnect();
-      this.socket = null;
+    if (this.socket && this.isConnected) {
+      this.socket.emit("presence:update", {
+        isPageVisible: false,
+        isAppFocused: false,
+        status: "offline",
+        clientType: "bot"
+      });
     }
 
-    this.isConnected = false;
-    this.isReady = false;
+    this._destroySocket();
+    this.gateway.clear("client disconnected");
+    this.sendQueue.clear(new GatewayError("Client disconnected before the message was sent", "DISCONNECTED"));
   }
 
   // ============================================================================
@@ -236,7 +386,8 @@ class Client extends EventEmitter {
   /**
    * Sets the bot's status
    * @param {string} status - Status: "online", "away", "dnd", "offline"
-   * @returns {Promise<Object>}
+   * @returns {Promise<Object>} The status update, once the server confirmed it
+   * @throws {GatewayError} When the server does not confirm it within `ackTimeout`
    * @example
    * client.setStatus("dnd").then((data) => {
    *  console.log("Status updated:", data);
@@ -245,7 +396,7 @@ class Client extends EventEmitter {
   async setStatus(status) {
     const validStatuses = ["online", "offline", "away", "dnd"];
     if (!validStatuses.includes(status)) {
-      throw new ClientError(
+      throw new ValidationError(
         `Invalid status. Valid statuses are: ${validStatuses.join(", ")}`,
         "INVALID_STATUS"
       );
@@ -254,12 +405,14 @@ class Client extends EventEmitter {
     this._ensureConnected();
     this.status = status;
 
-    return new Promise((resolve) => {
-      this.socket.once('user:status-update', (data) => {
-        resolve(data);
-      });
-
-      this.socket.emit('status:update', { status });
+    // The server broadcasts the update to everyone, so only the bot's own update answers it
+    return this.gateway.request('status:update', { status }, {
+      idempotent: true,
+      errorCode: "STATUS_ERROR",
+      response: {
+        event: 'user:status-update',
+        filter: (data) => !this.user || String(data?.userId) === String(this.user.id)
+      }
     });
   }
 
@@ -269,21 +422,7 @@ class Client extends EventEmitter {
    * @returns {Promise<User>} Bot user object
    */
   async fetchMe(force = false) {
-    if (!force && this.user) {
-      return this.user;
-    }
-
-    try {
-      const res = await this._axios.get('/api/users/me');
-      const user = new User(res.data, this);
-      this.cache.users.set(user.id, user);
-      this.user = user;
-      return user;
-    } catch (error) {
-      throw error instanceof ClientError
-        ? error
-        : new ClientError(error.message, "FETCH_ME_ERROR");
-    }
+    return this.users.fetchMe({ force });
   }
 
   /**
@@ -293,20 +432,7 @@ class Client extends EventEmitter {
    * @returns {Promise<User>} User object
    */
   async fetchUser(id, force = false) {
-    if (!force && this.cache.users.has(id)) {
-      return this.cache.users.get(id);
-    }
-
-    try {
-      const res = await this._axios.get(`/api/users/${id}`);
-      const user = new User(res.data, this);
-      this.cache.users.set(user.id, user);
-      return user;
-    } catch (error) {
-      throw error instanceof ClientError
-        ? error
-        : new ClientError(error.message, "FETCH_USER_ERROR");
-    }
+    return this.users.fetch(id, { force });
   }
 
   // ============================================================================
@@ -318,18 +444,7 @@ class Client extends EventEmitter {
    * @returns {Promise<Channel[]>} Array of channel objects
    */
   async fetchChannels() {
-    try {
-      const res = await this._axios.get('/api/channels');
-      const channels = res.data.map(c => {
-        const channel = new Channel(c, this);
-        this.cache.channels.set(channel.id, channel);
-        return channel;
-      });
-
-      return channels;
-    } catch (error) {
-      throw error instanceof ClientError ? error : new ClientError(error.message, "FETCH_CHANNELS_ERROR");
-    }
+    return this.channels.fetchAll();
   }
 
   /**
@@ -339,20 +454,7 @@ class Client extends EventEmitter {
    * @returns {Promise<Channel>} Channel object
    */
   async fetchChannel(id, force = false) {
-    if (!force && this.cache.channels.has(id)) {
-      return this.cache.channels.get(id);
-    }
-
-    try {
-      const res = await this._axios.get(`/api/channels/${id}`);
-      const channel = new Channel(res.data, this);
-      this.cache.channels.set(channel.id, channel);
-      return channel;
-    } catch (error) {
-      throw error instanceof ClientError
-        ? error
-        : new ClientError(error.message, "FETCH_CHANNEL_ERROR");
-    }
+    return this.channels.fetch(id, { force });
   }
 
   /**
@@ -363,24 +465,7 @@ class Client extends EventEmitter {
    * @returns {Promise<Channel>} Created channel object
    */
   async createChannel({ name, description = "" }) {
-    if (!name || name.trim() === "") {
-      throw new ClientError("Channel name is required", "INVALID_CHANNEL_NAME");
-    }
-
-    try {
-      const data = {
-        name: name.trim(),
-        description,
-        type: "text"
-      };
-
-      const res = await this._axios.post('/api/channels', data);
-      const channel = new Channel(res.data.channel, this);
-      this.cache.channels.set(channel.id, channel);
-      return channel;
-    } catch (error) {
-      throw error instanceof ClientError ? error : new ClientError(error.message, "CREATE_CHANNEL_ERROR");
-    }
+    return this.channels.create({ name, description });
   }
 
   /**
@@ -392,22 +477,7 @@ class Client extends EventEmitter {
    * @returns {Promise<Channel>} Updated channel object
    */
   async updateChannel(channelId, { name, description }) {
-    if (!name && !description) {
-      throw new ClientError("At least one field must be provided to update", "NO_UPDATE_FIELDS");
-    }
-
-    try {
-      const data = { type: "text" };
-      if (name !== undefined) data.name = name.trim();
-      if (description !== undefined) data.description = description;
-
-      const res = await this._axios.patch(`/api/channels/${channelId}`, data);
-      const channel = new Channel(res.data.channel, this);
-      this.cache.channels.set(channel.id, channel);
-      return channel;
-    } catch (error) {
-      throw error instanceof ClientError ? error : new ClientError(error.message, "UPDATE_CHANNEL_ERROR");
-    }
+    return this.channels.edit(channelId, { name, description });
   }
 
   /**
@@ -416,13 +486,7 @@ class Client extends EventEmitter {
    * @returns {Promise<Object>} Deletion response
    */
   async deleteChannel(channelId) {
-    try {
-      const res = await this._axios.delete(`/api/channels/${channelId}`);
-      this.cache.channels.delete(channelId);
-      return res.data;
-    } catch (error) {
-      throw error instanceof ClientError ? error : new ClientError(error.message, "DELETE_CHANNEL_ERROR");
-    }
+    return this.channels.delete(channelId);
   }
 
   // ============================================================================
@@ -432,26 +496,10 @@ class Client extends EventEmitter {
   /**
    * Fetches all members of a channel
    * @param {string} channelId - Channel ID
-   * @returns {Promise<User[]>} Array of user objects
+   * @returns {Promise<ChannelMember[]>} Array of channel members
    */
   async fetchChannelMembers(channelId) {
-    try {
-      const res = await this._axios.get(`/api/channels/${channelId}/members`);
-      const channel = this.cache.channels.get(channelId);
-
-      if (!channel) throw new ClientError("Canal não encontrado", "CHANNEL_NOT_FOUND");
-
-      const members = res.data.map(m => {
-        const user = new User(m, this);
-        this.cache.users.set(user.id, user);
-        channel.members.set(user.id, user);
-        return user;
-      });
-
-      return members;
-    } catch (error) {
-      throw error instanceof ClientError ? error : new ClientError(error.message, "FETCH_MEMBERS_ERROR");
-    }
+    return this.channels.fetchMembers(channelId);
   }
 
   /**
@@ -462,15 +510,7 @@ class Client extends EventEmitter {
    * @returns {Promise<Object>} Response data
    */
   async addChannelMember(channelId, userId, role = 'member') {
-    try {
-      const res = await this._axios.post(`/api/channels/${channelId}/members`, {
-        userId,
-        role
-      });
-      return res.data;
-    } catch (error) {
-      throw error instanceof ClientError ? error : new ClientError(error.message, "ADD_MEMBER_ERROR");
-    }
+    return this.channels.addMember(channelId, userId, role);
   }
 
   /**
@@ -481,12 +521,7 @@ class Client extends EventEmitter {
    * @returns {Promise<Object>} Response data
    */
   async updateChannelMember(channelId, userId, data) {
-    try {
-      const res = await this._axios.patch(`/api/channels/${channelId}/members/${userId}`, data);
-      return res.data;
-    } catch (error) {
-      throw error instanceof ClientError ? error : new ClientError(error.message, "UPDATE_MEMBER_ERROR");
-    }
+    return this.channels.editMember(channelId, userId, data);
   }
 
   /**
@@ -496,12 +531,7 @@ class Client extends EventEmitter {
    * @returns {Promise<Object>} Response data
    */
   async removeChannelMember(channelId, userId) {
-    try {
-      const res = await this._axios.delete(`/api/channels/${channelId}/members/${userId}`);
-      return res.data;
-    } catch (error) {
-      throw error instanceof ClientError ? error : new ClientError(error.message, "REMOVE_MEMBER_ERROR");
-    }
+    return this.channels.removeMember(channelId, userId);
   }
 
   // ============================================================================
@@ -510,134 +540,77 @@ class Client extends EventEmitter {
 
   /**
    * Sends a message to a channel
+   * Messages to the same channel are sent in order and held while the bot is rate limited.
+   * Each message carries a nonce, so sending it again after a rate limit or a reconnect does not duplicate it.
+   * Content longer than `maxMessageLength` is rejected unless `opts.split` is set.
    * @param {string} channelId - Channel ID
-   * @param {string|MessageEmbed} content - Message content or embed
-   * @param {Object|MessageAttachment} opts - Additional options
-   * @returns {Promise<Message>} Sent message object
+   * @param {string|MessageEmbed|MessagePayload|Object} content - Message content, embed, payload or options
+   * @param {Object|MessageAttachment} opts - Additional options, see {@link MessagePayload.create}
+   * @param {boolean|Object} [opts.split] - Sends long content as several messages, see {@link splitMessage}
+   * @returns {Promise<Message|Message[]>} Sent message object, once the server accepted it, or every part when split
+   * @example
+   * // Posts a long log as several messages, keeping code blocks closed
+   * await client.sendMessage(channelId, '```\n' + log + '\n```', { split: { prepend: '(cont.)\n' } });
    */
   async sendMessage(channelId, content, opts = {}) {
-    return new Promise(async (resolve, reject) => {
-      try {
-        this._ensureConnected();
-
-        let toSend = content;
-        let messageType = 'text';
-        let embedData = null;
-
-        // Handle MessageEmbed as content
-        if (content instanceof MessageEmbed) {
-          try {
-            content.validate();
-            embedData = content.toJSON();
-            toSend = '';
-            messageType = 'embed';
-          } catch (error) {
-            return reject(new ClientError(`Invalid embed: ${error.message}`, "INVALID_EMBED"));
-          }
-        }
+    try {
+      const payload = MessagePayload.create(content, opts);
 
-        // Handle MessageAttachment as opts (backward compatibility)
-        if (opts instanceof MessageAttachment) {
-          const uploadedFile = await this.uploadFile(opts);
-          if (uploadedFile) {
-            const mimetype = opts.name.split('.').pop().toLowerCase();
-            const detectedType = ['png', 'jpg', 'jpeg', 'gif', 'webp'].includes(mimetype)
-              ? 'image'
-              : 'file';
-            opts = {
-              fileUrl: uploadedFile.url,
-              fileName: uploadedFile.originalName,
-              fileSize: uploadedFile.size,
-              messageType: detectedType
-            };
-            messageType = detectedType;
-          }
-        }
+      if (payload.options.split) {
+        return await this._sendSplitMessage(channelId, payload);
+      }
 
-        // Handle file upload
-        if (opts.file) {
-          const fileData = await this._handleFileUpload(opts.file, opts.fileName);
-          opts.fileUrl = fileData.url;
-          opts.fileName = fileData.originalName;
-          opts.fileSize = fileData.size;
-          messageType = opts.messageType || fileData.detectedType;
-        }
+      this._ensureConnected();
+      payload.validate({ maxLength: this.config.maxMessageLength });
 
-        // Handle embed in opts
-        if (opts.embed) {
-          if (opts.embed instanceof MessageEmbed) {
-            try {
-              opts.embed.validate();
-              embedData = opts.embed.toJSON();
-              messageType = 'embed';
-            } catch (error) {
-              return reject(new ClientError(`Invalid embed: ${error.message}`, "INVALID_EMBED"));
-            }
-          } else if (typeof opts.embed === 'object') {
-            embedData = opts.embed;
-            messageType = 'embed';
-          }
-        }
+      const nonce = generateNonce();
+      this._sentNonces.set(nonce, channelId);
 
-        // Override messageType if explicitly provided
-        if (opts.messageType && !embedData) {
-          messageType = opts.messageType;
+      let body = null;
+      const response = await this.sendQueue.push(channelId, async () => {
+        if (!body) {
+          body = { channelId, nonce, ...(await payload.resolveBody(this)) };
         }
+        return this._emitMessageSend(body);
+      });
 
-        this.socket.emit(
-          'message:send',
-          {
-            channelId,
-            content: toSend,
-            messageType: messageType,
-            replyTo: opts.replyTo || null,
-            fileUrl: opts.fileUrl || null,
-            fileName: opts.fileName || null,
-            fileSize: opts.fileSize || null,
-            stickerId: opts.stickerId || null,
-            embedData: embedData,
-          },
-          async (response) => {
-            if (response && response.error) {
-              reject(new ClientError(response.error, "SEND_ERROR"));
-            } else {
-              this._sentMessages.add(response.id);
-              const msg = await this._processSocketMessage(response);
-              this._cacheMessage(msg);
-              resolve(msg);
-            }
-          }
-        );
-      } catch (error) {
-        reject(error instanceof ClientError ? error : new ClientError(error.message, "SEND_ERROR"));
-      }
-    });
+      const msg = await this._processSocketMessage(response);
+      this._cacheMessage(msg);
+      return msg;
+    } catch (error) {
+      throw error instanceof ClientError ? error : new ClientError(error.message, "SEND_ERROR");
+    }
   }
 
   /**
    * Edits a message
+   * Only the content of a message can change.
    * @param {string} messageId - Message ID
-   * @param {string} newContent - New message content
+   * @param {string|MessagePayload|Object} newContent - New message content, or a payload with it
    * @returns {Promise<Message>} Response data
    */
   async editMessage(messageId, newContent) {
-    return new Promise((resolve, reject) => {
-      this.socket.emit(
-        'message:edit',
-        { messageId, content: newContent },
-        async (response) => {
-          if (response && response.error) {
-            reject(new ClientError(response.error, "EDIT_ERROR"));
-          } else {
-            this._updateMessageContent(messageId, newContent, new Date().toISOString());
-            const msg = await this._processSocketMessage(response); // transforma response em Message
-            resolve(msg);
-          }
-        }
-      );
+    this._ensureConnected();
+    const content = MessagePayload.create(newContent)
+      .validate({ edit: true, maxLength: this.config.maxMessageLength })
+      .options.content;
+
+    const { msg: cached } = this._findCachedMessage(messageId);
+    if (cached) this._ownChanges.set(`edit:${messageId}`, cached._clone());
+
+    const response = await this.gateway.request('message:edit', { messageId, content }, {
+      idempotent: true,
+      errorCode: "EDIT_ERROR"
     });
-  }
 
+    const editedAt = response?.edited_at || new Date().toISOString();
+    const { newMessage } = this._updateMessageContent(messageId, content, editedAt);
+    if (newMessage) return newMessage;
+
+    const msg = await this._processSocketMessage(response); // transforma response em Message
+    this._cacheMessage(msg);
+    return msg;
+  }
 
   /**
    * Deletes a message
@@ -645,22 +618,14 @@ class Client extends EventEmitter {
    * @returns {Promise<Object>} Response data
    */
   async deleteMessage(messageId) {
-    return new Promise((resolve, reject) => {
-      try {
-        this._ensureConnected();
-      } catch (error) {
-        return reject(error);
-      }
-
-      this.socket.emit('message:delete', { messageId }, (response) => {
-        if (response && response.error) {
-          reject(new ClientError(response.error, "DELETE_ERROR"));
-        } else {
-          this._markMessageDeleted(messageId);
-          resolve(response);
-        }
-      });
+    const response = await this.gateway.request('message:delete', { messageId }, {
+      idempotent: true,
+      errorCode: "DELETE_ERROR"
     });
+
+    const message = this._markMessageDeleted(messageId, response?.channelId);
+    if (message) this._ownChanges.set(`delete:${messageId}`, message);
+    return response;
   }
 
   /**
@@ -677,30 +642,123 @@ class Client extends EventEmitter {
         limit: Math.min(options.limit || 50, 100),
       };
 
-      if (options.before) {
+      if (options.before !== undefined && options.before !== null) {
         params.before = options.before;
       }
 
       const res = await this._axios.get(`/api/channels/${channelId}/messages`, { params });
-      const messages = res.data.map(m => new Message(m, this));
+      const cachedMessages = this._getMessageStore(channelId);
 
-      if (!this.cache.messages.has(channelId)) {
-        this.cache.messages.set(channelId, []);
-      }
+      return res.data.map(m => {
+        // Keep the cached instance so every reference sees later edits
+        if (cachedMessages.has(m.id)) return cachedMessages.get(m.id);
 
-      const cachedMessages = this.cache.messages.get(channelId);
-      messages.forEach(msg => {
-        if (!cachedMessages.find(m => m.id === msg.id)) {
-          cachedMessages.push(msg);
-        }
+        const message = new Message(this._normalizeMessageData(m), this);
+        if (message.author) this.cache.users.set(message.author.id, message.author);
+        if (!message.channel) message.channel = this.cache.channels.get(channelId) || null;
+        cachedMessages.set(message.id, message);
+        return message;
       });
-
-      return messages;
     } catch (error) {
       throw error instanceof ClientError ? error : new ClientError(error.message, "FETCH_MESSAGES_ERROR");
     }
   }
 
+  /**
+   * Iterates over the history of a channel, fetching pages of 100 messages as needed.
+   * Goes from newest to oldest, or from oldest to newest when `after` is given.
+   * The API only pages backward, so `after` and `around` walk back from the newest message
+   * to their cursor first, and `after` holds the messages it walked over until then.
+   * @param {string} channelId - Channel ID
+   * @param {Object} [options={}] - History options
+   * @param {string} [options.before] - Start before this message ID
+   * @param {string|number} [options.after] - Start after this message ID, iterating forward
+   * @param {string} [options.around] - Only yield the page around this message ID
+   * @param {number} [options.limit=Infinity] - Maximum number of messages to yield
+   * @param {Date|string|number} [options.since] - Skip messages older than this date
+   * @param {Date|string|number} [options.until] - Skip messages newer than this date
+   * @returns {AsyncGenerator<Message>} Messages, one at a time
+   * @example
+   * for await (const msg of client.fetchMessageHistory(channelId, { limit: 500 })) {
+   *   console.log(msg.content);
+   * }
+   */
+  async *fetchMessageHistory(channelId, options = {}) {
+    const limit = options.limit ?? Infinity;
+    const since = options.since !== undefined ? new Date(options.since).getTime() : -Infinity;
+    const until = options.until !== undefined ? new Date(options.until).getTime() : Infinity;
+    const createdAt = (msg) => new Date(msg.createdAt).getTime();
+
+    if (options.around !== undefined && options.around !== null) {
+      const size = Math.min(limit, 100);
+      const newer = [];
+      const older = [];
+
+      for await (const msg of this._walkHistory(channelId, undefined, 100)) {
+        if (compareIds(msg.id, options.around) > 0) {
+          newer.push(msg);
+          if (newer.length > Math.floor(size / 2)) newer.shift();
+        } else {
+          older.push(msg);
+          if (newer.length + older.length >= size) break;
+        }
+      }
+
+      for (const msg of [...newer, ...older]) {
+        if (createdAt(msg) >= since && createdAt(msg) <= until) yield msg;
+      }
+      return;
+    }
+
+    if (options.after !== undefined && options.after !== null) {
+      // The walk goes newest first, so the oldest `limit` messages are the last ones it reaches
+      const pending = [];
+
+      for await (const msg of this._walkHistory(channelId, undefined, 100)) {
+        if (compareIds(msg.id, options.after) <= 0 || createdAt(msg) < since) break;
+        pending.push(msg);
+        if (pending.length > limit) pending.shift();
+      }
+
+      for (let i = pending.length - 1; i >= 0; i--) {
+        if (createdAt(pending[i]) > until) return;
+        yield pending[i];
+      }
+      return;
+    }
+
+    let yielded = 0;
+    for await (const msg of this._walkHistory(channelId, options.before, Math.min(limit, 100))) {
+      if (createdAt(msg) > until) continue;
+      if (createdAt(msg) < since) return;
+
+      yield msg;
+      if (++yielded >= limit) return;
+    }
+  }
+
+  /**
+   * Yields the messages of a channel from newest to oldest, paging with `before`
+   * @private
+   */
+  async *_walkHistory(channelId, before, pageSize) {
+    let cursor = before ?? undefined;
+
+    while (true) {
+      const page = await this.fetchChannelMessages(channelId, { limit: pageSize, before: cursor });
+
+      // Ignore whatever the server sent back that is not past the cursor
+      const messages = page
+        .filter(m => cursor === undefined || compareIds(m.id, cursor) < 0)
+        .sort((a, b) => compareIds(b.id, a.id));
+
+      yield* messages;
+
+      if (messages.length === 0 || page.length < pageSize) return;
+      cursor = messages[messages.length - 1].id;
+    }
+  }
+
   /**
    * Fetches a specific message
    * @param {string} channelId - Channel ID
@@ -713,19 +771,7 @@ class Client extends EventEmitter {
       const raw = res.data;
 
       // --- USER ---
-      const userData = {
-        id: raw.user_id,
-        username: raw.username,
-        display_name: raw.display_name,
-        avatar_url: raw.avatar_url,
-        status: raw.status || 'online',
-        emblems: raw.emblems || [],
-        is_bot: raw.is_bot ?? false,
-        last_seen: raw.last_seen ?? raw.created_at,
-        created_at: raw.created_at,
-      };
-      const messageData = { ...raw, user: userData };
-      const message = new Message(messageData, this);
+      const message = new Message(this._normalizeMessageData(raw), this);
       if (message.author) this.cache.users.set(message.author.id, message.author);
 
       // --- CHANNEL ---
@@ -740,19 +786,10 @@ class Client extends EventEmitter {
 
       // --- STICKER ---
       if (!message.sticker && raw.sticker_id) {
-        let sticker = this.cache.stickers.get(raw.sticker_id);
-
-        if (!sticker) {
-          try {
-            sticker = await this.fetchSticker(raw.sticker_id);
-          } catch (_) {
-            sticker = null;
-          }
-        }
-
-        message.sticker = sticker;
+        message.sticker = await this.stickers.fetch(raw.sticker_id).catch(() => null);
       }
 
+      this._cacheMessage(message);
       return message;
     } catch (error) {
       throw error instanceof ClientError
@@ -804,20 +841,7 @@ class Client extends EventEmitter {
    * @returns {Promise<Emoji>} Emoji object
    */
   async fetchEmoji(id, force = false) {
-    if (!force && this.cache.emojis.has(id)) {
-      return this.cache.emojis.get(id);
-    }
-
-    try {
-      const res = await this._axios.get(`/api/emojis/${id}`);
-      const emoji = new Emoji(res.data);
-      this.cache.emojis.set(emoji.id, emoji);
-      return emoji;
-    } catch (error) {
-      throw error instanceof ClientError
-        ? error
-        : new ClientError(error.message, "FETCH_EMOJI_ERROR");
-    }
+    return this.emojis.fetch(id, { force });
   }
 
   /**
@@ -827,29 +851,7 @@ class Client extends EventEmitter {
    * @returns {Promise<Emoji[]>} Array of emoji objects
    */
   async fetchAllEmojis(options = {}) {
-    try {
-      const endpoint = '/api/emojis/all';
-      const params = {};
-
-      if (options.search) {
-        params.search = options.search;
-      }
-
-      const res = await this._axios.get(endpoint, { params });
-
-      const emojis = res.data.map(e => {
-        if (!e.user_id) e.user_id = this.user.id;
-        const emoji = new Emoji(e);
-        this.cache.emojis.set(emoji.id, emoji);
-        return emoji;
-      });
-
-      return emojis;
-    } catch (error) {
-      throw error instanceof ClientError
-        ? error
-        : new ClientError(error.message, "FETCH_EMOJIS_ERROR");
-    }
+    return this.emojis.fetchAll({ search: options.search });
   }
 
   /**
@@ -859,20 +861,7 @@ class Client extends EventEmitter {
    * @returns {Promise<Object>} Sticker data
    */
   async fetchSticker(id, force = false) {
-    if (!force && this.cache.stickers.has(id)) {
-      return this.cache.stickers.get(id);
-    }
-
-    try {
-      const res = await this._axios.get(`/api/stickers/${id}`);
-      const sticker = new Sticker(res.data);
-      this.cache.stickers.set(sticker.id, sticker);
-      return sticker;
-    } catch (error) {
-      throw error instanceof ClientError
-        ? error
-        : new ClientError(error.message, "FETCH_STICKER_ERROR");
-    }
+    return this.stickers.fetch(id, { force });
   }
 
   /**
@@ -882,22 +871,7 @@ class Client extends EventEmitter {
    * @returns {Promise<Object[]>} Array of sticker objects
    */
   async fetchAllStickers(options = {}) {
-    try {
-      const params = {};
-
-      if (options.search) {
-        params.search = options.search;
-      }
-
-      const res = await this._axios.get('/api/stickers/all', { params });
-      res.data.forEach(s => {
-        this.cache.stickers.set(s.id, s);
-      });
-
-      return res.data;
-    } catch (error) {
-      throw error instanceof ClientError ? error : new ClientError(error.message, "FETCH_STICKERS_ERROR");
-    }
+    return this.stickers.fetchAll({ search: options.search });
   }
 
   // ============================================================================
@@ -911,11 +885,18 @@ class Client extends EventEmitter {
    */
   async uploadFile(file) {
     try {
-      const formData = new FormData();
-      formData.append('file', file.buffer, { filename: file.name });
+      const createForm = () => {
+        const formData = new FormData();
+        formData.append('file', file.buffer, { filename: file.name });
+        return formData;
+      };
+
+      const formData = createForm();
       const res = await this._axios.post('/api/upload', formData, {
         headers: formData.getHeaders(),
-        timeout: 30000
+        timeout: 30000,
+        // The form is a stream, a retry after a rate limit needs a new one
+        rebuildData: createForm
       });
 
       return res.data;
@@ -940,6 +921,14 @@ class Client extends EventEmitter {
     this.cache.stickers.clear();
   }
 
+  /**
+   * Removes expired entries from every cache
+   * @returns {number} The number of removed entries
+   */
+  sweepCache() {
+    return this.caches.sweep();
+  }
+
   // ============================================================================
   // PRIVATE METHODS - Socket Connection & Management
   // ============================================================================
@@ -954,18 +943,22 @@ class Client extends EventEmitter {
         if (this.socket) {
           this.socket.disconnect();
         }
-        reject(new ClientError(
+        reject(new GatewayError(
           `Connection timeout - failed to connect within ${this.config.connectionTimeout}ms`,
           "CONNECTION_TIMEOUT"
         ));
       }, this.config.connectionTimeout);
 
-      this.socket = io(global.apiUrl, {
-        auth: { token: global.token },
-        extraHeaders: { 'Origin': global.apiUrl },
+      const strategy = this.config.reconnect || {};
+
+      this.socket = io(this.apiUrl, {
+        auth: { token: this.token },
+        extraHeaders: { 'Origin': this.apiUrl },
         timeout: 5000,
         reconnection: true,
         reconnectionDelay: this.config.reconnectionDelay,
+        reconnectionDelayMax: strategy.maxDelay ?? 5000,
+        randomizationFactor: strategy.jitter ?? 0.5,
         reconnectionAttempts: this.config.maxRetries,
         transports: ['websocket', 'polling']
       });
@@ -982,13 +975,17 @@ class Client extends EventEmitter {
       this.socket.on("disconnect", (reason) => {
         this.isConnected = false;
         this._stopHeartbeat();
+        this.gateway.suspend(reason);
         this.emit("disconnect", reason);
 
         if (reason === "io server disconnect") {
-          this.emit("error", new ClientError(
+          this.emit("error", new GatewayError(
             "Disconnected by server - token may be invalid or revoked",
             "SERVER_DISCONNECT"
           ));
+
+          // socket.io does not reconnect on its own after a server-side disconnect
+          this._reconnect();
         }
       });
 
@@ -1012,34 +1009,147 @@ class Client extends EventEmitter {
           errorMessage = "Connection timeout";
         }
 
-        const clientError = new ClientError(errorMessage, errorCode);
+        const clientError = new GatewayError(errorMessage, errorCode);
         this.emit("error", clientError);
 
         if (this.retryCount >= this.config.maxRetries) {
           reject(clientError);
         }
+
+        // Errors raised by the server middleware stop socket.io from retrying
+        if (this.socket && !this.socket.active) {
+          this._reconnect();
+        }
       });
 
-      this.socket.on("reconnect", (attemptNumber) => {
+      // Reconnection events are emitted by the socket.io Manager, not the socket
+      this.socket.io.on("reconnect_attempt", (attempt) => {
+        this.emit("reconnecting", { attempt, delay: null, type: "socket" });
+      });
+
+      this.socket.io.on("reconnect", (attemptNumber) => {
         this.isConnected = true;
         this._startHeartbeat();
         this.emit("reconnect", attemptNumber);
+        this.gateway.replay();
+        this._resumeSession().catch(error => this.emit("error", error));
       });
 
-      this.socket.on("reconnect_error", (error) => {
+      this.socket.io.on("reconnect_error", (error) => {
         this.emit("error", error);
       });
 
-      this.socket.on("reconnect_failed", () => {
+      this.socket.io.on("reconnect_failed", () => {
         this._stopHeartbeat();
-        this.emit("error", new ClientError(
+        if (!this.config.reconnect) this.gateway.clear("reconnection failed");
+        this.emit("error", new GatewayError(
           "Failed to reconnect after maximum attempts",
           "RECONNECT_FAILED"
         ));
+        this._reconnect();
       });
     });
   }
 
+  /**
+   * Closes the current socket and removes its listeners
+   * @private
+   */
+  _destroySocket() {
+    this._stopHeartbeat();
+
+    if (this.socket) {
+      this.gateway.suspend("socket closed");
+      this._removeSocketHandlers();
+
+      this.socket.off("connect");
+      this.socket.off("disconnect");
+      this.socket.off("connect_error");
+      this.socket.io.off("reconnect_attempt");
+      this.socket.io.off("reconnect");
+      this.socket.io.off("reconnect_error");
+      this.socket.io.off("reconnect_failed");
+
+      this.socket.disconnect();
+      this.socket = null;
+    }
+
+    this.isConnected = false;
+    this.isReady = false;
+  }
+
+  /**
+   * Runs the whole login sequence again with exponential backoff until it succeeds,
+   * the attempts run out or the token turns out to be revoked
+   * @private
+   */
+  async _reconnect() {
+    const strategy = this.config.reconnect;
+    if (this._reconnecting) return;
+
+    if (!strategy || !this._shouldReconnect) {
+      // Nothing brings the connection back, so nothing would replay the held requests
+      this.gateway.clear("connection lost");
+      return;
+    }
+
+    this._reconnecting = true;
+    this._destroySocket();
+
+    try {
+      for (let attempt = 1; attempt <= strategy.maxAttempts; attempt++) {
+        const delay = computeBackoff(attempt, strategy);
+
+        /**
+         * @event Client#reconnecting
+         */
+        this.emit("reconnecting", { attempt, delay, type: "login" });
+        await sleep(delay);
+
+        if (!this._shouldReconnect) return;
+
+        try {
+          await this.validateToken();
+        } catch (error) {
+          if (error.status === 401 || error.status === 403) {
+            this._shouldReconnect = false;
+            this.gateway.clear("token invalidated");
+
+            /**
+             * @event Client#invalidated
+             */
+            this.emit("invalidated", error);
+            return;
+          }
+          continue;
+        }
+
+        try {
+          this.retryCount = 0;
+          await this._connectSocket();
+          await this.fetchMe(true);
+          await this._joinAllChannelRooms();
+          this.isReady = true;
+
+          this.emit("reconnect", attempt);
+          this.gateway.replay();
+          await this._resumeSession({ rejoin: false });
+          return;
+        } catch (error) {
+          this._destroySocket();
+        }
+      }
+
+      this.gateway.clear("reconnection failed");
+      this.emit("error", new GatewayError(
+        `Failed to log in again after ${strategy.maxAttempts} attempts`,
+        "RECONNECT_FAILED"
+      ));
+    } finally {
+      this._reconnecting = false;
+    }
+  }
+
   /**
    * Joins all channel rooms on connection
    * @private
@@ -1058,6 +1168,80 @@ class Client extends EventEmitter {
     }
   }
 
+  /**
+   * Rejoins every known channel room and replays the messages missed while offline
+   * @private
+   */
+  async _resumeSession({ rejoin = true } = {}) {
+    const lastMessageIds = new Map(this._lastMessageIds);
+    let replayed = 0;
+
+    for (const [channelId, channel] of this.cache.channels.entries()) {
+      // Joins and leaves may have been missed while offline
+      channel.members._fetched = false;
+
+      if (rejoin && this.socket && this.socket.connected) {
+        this.socket.emit('channel:join', { channelId });
+      }
+    }
+
+    const replays = [];
+    for (const [channelId, lastId] of lastMessageIds) {
+      if (!this.cache.channels.has(channelId)) continue;
+
+      // Fetching caches the messages, so remember what was known before
+      const known = new Set(this._getMessageStore(channelId).keys());
+
+      // Queued like a gateway event, so messages arriving meanwhile are dispatched after the replay
+      replays.push(this.pipeline.push('session:resume', channelId, {
+        hydrate: () => this._fetchMessagesSince(channelId, lastId),
+        dispatch: (missed) => {
+          for (const msg of missed) {
+            // Messages dispatched while the page was fetched moved the last ID past them
+            const last = this._lastMessageIds.get(channelId);
+            if (known.has(msg.id) || (last !== undefined && compareIds(msg.id, last) <= 0)) continue;
+            if (this._isIgnoredMessage({ authorId: msg.author?.id, isBot: msg.author?.isBot, nonce: msg.nonce })) continue;
+
+            msg.replayed = true;
+            this._cacheMessage(msg);
+            this.emit("messageCreate", msg);
+            replayed++;
+          }
+        }
+      }));
+    }
+
+    await Promise.all(replays);
+
+    /**
+     * @event Client#resumed
+     */
+    this.emit("resumed", { channels: lastMessageIds.size, replayed });
+  }
+
+  /**
+   * Pages back through a channel until the given message, oldest first
+   * @private
+   */
+  async _fetchMessagesSince(channelId, lastId) {
+    const missed = [];
+    let before;
+
+    for (let fetched = 0; fetched < this.config.resumeLimit;) {
+      const page = await this.fetchChannelMessages(channelId, { limit: 100, before });
+      if (page.length === 0) break;
+      fetched += page.length;
+
+      const newer = page.filter(m => compareIds(m.id, lastId) > 0);
+      missed.push(...newer);
+
+      if (newer.length < page.length || page.length < 100) break;
+      before = page.reduce((min, m) => (compareIds(m.id, min) < 0 ? m.id : min), page[0].id);
+    }
+
+    return missed.sort((a, b) => compareIds(a.id, b.id));
+  }
+
   /**
    * Sets up all socket event handlers
    * @private
@@ -1065,77 +1249,106 @@ class Client extends EventEmitter {
   _setupSocketHandlers() {
     this._removeSocketHandlers();
 
+    /**
+     * @event Client#raw
+     */
+    this._onRawPacket = (event, ...args) => {
+      this.emit('raw', { event, data: args[0] });
+    };
+    this.socket.onAny(this._onRawPacket);
+
     /**
      * @event Client#messageCreate
      */
-    this.socket.on('message:new', async (data) => {
-      try {
-        if (this._sentMessages.has(data.id)) {
-          this._sentMessages.delete(data.id);
-          return;
-        }
+    this._onSocket('message:new', (data) => {
+      if (data.nonce && this._echoedNonces.has(data.nonce)) return;
 
-        const msg = await this._processSocketMessage(data);
-        this._cacheMessage(msg);
-        this.emit("messageCreate", msg);
-      } catch (error) {
-        this.emit("error", error);
-      }
+      const ignored = this._isIgnoredMessage({
+        authorId: data.user_id ?? data.user?.id,
+        isBot: data.is_bot ?? data.user?.is_bot,
+        nonce: data.nonce,
+      });
+      if (data.nonce && this._sentNonces.delete(data.nonce)) this._echoedNonces.set(data.nonce, true);
+      if (ignored) return;
+
+      this.pipeline.push('message:new', data.channel_id ?? data.channelId, {
+        hydrate: () => this._processSocketMessage(data),
+        dispatch: (msg) => {
+          // Already emitted by a resume queued before it
+          if (msg.channel && this._getMessageStore(msg.channel.id).get(msg.id)?.replayed) return;
+
+          this._cacheMessage(msg);
+          this.emit("messageCreate", msg);
+        }
+      });
     });
 
     /**
      * @event Client#messageDelete
      */
-    this.socket.on('message:deleted', (data) => {
+    this._onSocket('message:deleted', (data) => {
       const { messageId } = data;
-      this._markMessageDeleted(messageId);
-      this.emit('messageDelete', data);
+      const channelId = this._resolveEventChannelId(data);
+
+      this.pipeline.push('message:deleted', channelId, {
+        dispatch: () => {
+          // The bot's own deletes already left the cache when the ack came in
+          const message = this._markMessageDeleted(messageId, channelId) ?? this._ownChanges.get(`delete:${messageId}`) ?? null;
+          this._ownChanges.delete(`delete:${messageId}`);
+          this.emit('messageDelete', data, message);
+        }
+      });
     });
 
     /**
      * @event Client#messageEdit
      */
-    this.socket.on('message:edited', async (data) => {
+    this._onSocket('message:edited', (data) => {
       const { messageId: id, content, editedAt } = data;
+      const channelId = this._resolveEventChannelId(data);
+
+      // The edited message may still be hydrating, so the cache is only read once it was dispatched
+      this.pipeline.push('message:edited', channelId, {
+        dispatch: async () => {
+          let { oldMessage, newMessage: msg } = this._updateMessageContent(id, content, editedAt, channelId);
+
+          // The bot's own edits may already be applied, the snapshot taken before the request is the old state
+          const snapshot = this._ownChanges.get(`edit:${id}`);
+          if (snapshot) {
+            this._ownChanges.delete(`edit:${id}`);
+            oldMessage = snapshot;
+          }
 
-      let msg;
-      for (const [channelId, messages] of this.cache.channels) {
-        const channel = messages;
-        if (channel.messages.has(id)) {
-          msg = channel.messages.get(id);
-          msg.content = content;
-          msg.editedAt = editedAt;
-          msg.edited = true;
-          break;
-        }
-      }
-
-      if (!msg) {
-        msg = await this._processSocketMessage(data);
-        this._cacheMessage(msg);
-      }
+          if (!msg) {
+            msg = await this._processSocketMessage({ id, ...data });
+            this._cacheMessage(msg);
+          } else {
+            await msg.mentions.fetch();
+          }
 
-      this.emit('messageEdit', msg);
+          this.emit('messageEdit', msg, oldMessage);
+        }
+      });
     });
 
     /**
      * @event Client#typingStart
      */
-    this.socket.on('typing:user-start', (data) => {
+    this._onSocket('typing:user-start', (data) => {
       this.emit('typingStart', data);
     });
 
     /**
      * @event Client#typingStop
      */
-    this.socket.on('typing:user-stop', (data) => {
+    this._onSocket('typing:user-stop', (data) => {
       this.emit('typingStop', data);
     });
 
     /**
      * @event Client#userStatusUpdate
      */
-    this.socket.on('user:status-update', (data) => {
+    this._onSocket('user:status-update', (data) => {
       this._updateUserStatus(data);
       this.emit('userStatusUpdate', data);
     });
@@ -1143,76 +1356,175 @@ class Client extends EventEmitter {
     /**
      * @event Client#memberJoin
      */
-    this.socket.on('member:join', async (data) => {
-      const member = await this.fetchUser(data.memberId).catch(() => null);
-      const channel = this.cache.channels.get(data.channelId);
-      if (!channel || !member) return;
-      channel.members.set(member.id, member);
-      channel.memberCount = (channel.memberCount || 0) + 1;
-      this.emit('memberJoin', { channel, member });
+    this._onSocket('member:join', (data) => {
+      this.pipeline.push('member:join', data.channelId, {
+        hydrate: () => this.fetchUser(data.memberId).catch(() => null),
+        dispatch: (user) => {
+          const channel = this.cache.channels.get(data.channelId);
+          if (!channel || !user) return;
+
+          const isNew = !channel.members.has(user.id);
+          const member = channel.members._add({
+            user,
+            role: data.role,
+            joined_at: data.joinedAt ?? new Date().toISOString(),
+          });
+
+          if (isNew) channel.memberCount = (channel.memberCount || 0) + 1;
+          this.emit('memberJoin', { channel, member });
+        }
+      });
     });
 
     /**
      * @event Client#memberLeave
      */
-    this.socket.on('member:leave', async (data) => {
-      const channel = this.cache.channels.get(data.channelId);
-      const member = this.cache.users.get(data.memberId);
+    this._onSocket('member:leave', (data) => {
+      this.pipeline.push('member:leave', data.channelId, {
+        dispatch: async () => {
+          const channel = this.cache.channels.get(data.channelId);
+          if (!channel) return;
+
+          let member = channel.members.get(data.memberId);
 
-      if (channel && member) {
-        const wasDeleted = channel.members.delete(member.id);
+          if (member) {
+            channel.members.delete(member.id);
+            if (channel.memberCount > 0) channel.memberCount -= 1;
+          } else {
+            const user = await this.fetchUser(data.memberId).catch(() => null);
+            if (!user) return;
+            member = new ChannelMember({ user }, channel);
+          }
 
-        if (wasDeleted && channel.memberCount > 0) {
-          channel.memberCount -= 1;
+          this.emit('memberLeave', { channel, member });
         }
-      }
+      });
+    });
 
-      this.emit('memberLeave', { channel, member });
+    /**
+     * @event Client#memberUpdate
+     */
+    this._onSocket('member:update', (data) => {
+      this.pipeline.push('member:update', data.channelId, {
+        dispatch: async () => {
+          const channel = this.cache.channels.get(data.channelId);
+          if (!channel) return;
+
+          const memberId = data.memberId ?? data.userId;
+          let member = channel.members.get(memberId);
+          const oldRole = member?.role ?? null;
+
+          if (member) {
+            member._patch({ role: data.role });
+          } else {
+            const user = await this.fetchUser(memberId).catch(() => null);
+            if (!user) return;
+            member = channel.members._add({ user, role: data.role });
+          }
+
+          this.emit('memberUpdate', { channel, member, oldRole });
+        }
+      });
+    });
+
+    /**
+     * @event Client#channelCreate
+     */
+    this._onSocket('channel:create', (data) => {
+      const channel = new Channel(data.channel || data, this);
+      this.cache.channels.set(channel.id, channel);
+      this.socket.emit('channel:join', { channelId: channel.id });
+      this.emit('channelCreate', channel);
     });
 
     /**
      * @event Client#channelUpdate
      */
-    this.socket.on('channel:update', (data) => {
-      this._updateChannel(data);
-      this.emit('channelUpdate', data);
+    this._onSocket('channel:update', (data) => {
+      const { oldChannel, newChannel } = this._updateChannel(data.channel || data);
+      this.emit('channelUpdate', newChannel, oldChannel);
     });
 
     /**
      * @event Client#channelDelete
      */
-    this.socket.on('channel:delete', (data) => {
-      this.cache.channels.delete(data.channelId);
-      this.emit('channelDelete', data);
+    this._onSocket('channel:delete', (data) => {
+      const channelId = data.channelId ?? data.id;
+      const channel = this.cache.channels.get(channelId) || new Channel({ id: channelId }, this);
+
+      this.cache.channels.delete(channelId);
+      this.cache.messages.delete(channelId);
+      this._lastMessageIds.delete(channelId);
+      this.emit('channelDelete', channel);
+    });
+
+    /**
+     * @event Client#emojiCreate
+     */
+    this._onSocket('emoji:create', (data) => {
+      const emoji = new Emoji(data.emoji || data, this);
+      this.cache.emojis.set(emoji.id, emoji);
+      this.emit('emojiCreate', emoji);
+    });
+
+    /**
+     * @event Client#emojiDelete
+     */
+    this._onSocket('emoji:delete', (data) => {
+      const emojiId = data.emojiId ?? data.id;
+      const emoji = this.cache.emojis.get(emojiId) || new Emoji({ id: emojiId, ...data }, this);
+      this.cache.emojis.delete(emojiId);
+      this.emit('emojiDelete', emoji);
+    });
+
+    /**
+     * @event Client#stickerCreate
+     */
+    this._onSocket('sticker:create', (data) => {
+      const sticker = this.stickers._add(data.sticker || data);
+      this.emit('stickerCreate', sticker);
+    });
+
+    /**
+     * @event Client#stickerDelete
+     */
+    this._onSocket('sticker:delete', (data) => {
+      const stickerId = data.stickerId ?? data.id;
+      const sticker = this.stickers.cache.get(stickerId) ?? this.stickers._add({ id: stickerId, ...data }, false);
+      this.stickers.cache.delete(stickerId);
+      this.emit('stickerDelete', sticker);
     });
 
     /**
      * @event Client#rateLimited
      */
-    this.socket.on('rate:limited', (data) => {
-      this.emit('rateLimited', data);
+    this._onSocket('rate:limited', (data) => {
+      this.sendQueue.hold(data);
+      this.emit('rateLimited', { ...data, source: 'gateway' });
     });
   }
 
   /**
-   * Removes all socket event handlers
+   * Removes the socket event handlers of the client
    * @private
    */
   _removeSocketHandlers() {
-    if (!this.socket) return;
+    // Only the client's own handlers: pending gateway requests listen to some of the same events
+    for (const [event, handler] of this._socketHandlers) {
+      this._socketHandlers.delete(event);
+      if (this.socket) this.socket.off(event, handler);
+    }
 
-    this.socket.off("message:new");
-    this.socket.off("message:deleted");
-    this.socket.off("message:edited");
-    this.socket.off("typing:user-start");
-    this.socket.off("typing:user-stop");
-    this.socket.off("user:status-update");
-    this.socket.off("presence:update");
-    this.socket.off("member:join");
-    this.socket.off("member:leave");
-    this.socket.off("channel:update");
-    this.socket.off("channel:delete");
-    this.socket.off("rate:limited");
+    if (this.socket && this._onRawPacket) this.socket.offAny(this._onRawPacket);
+  }
+
+  /**
+   * Registers a gateway event handler, tracked so that `_removeSocketHandlers` removes it alone
+   * @private
+   */
+  _onSocket(event, handler) {
+    this._socketHandlers.set(event, handler);
+    this.socket.on(event, handler);
   }
 
   /**
@@ -1261,57 +1573,137 @@ class Client extends EventEmitter {
    * @private
    */
   _handleAxiosError(error) {
-    if (error.response) {
-      const { status, data } = error.response;
-      const errorCode = data?.error || 'UNKNOWN_ERROR';
+    if (error instanceof ClientError) {
+      throw error;
+    }
+
+    const { config = {}, response } = error;
+    const details = {
+      method: config.method ? config.method.toUpperCase() : null,
+      path: config.url || null,
+      requestBody: this._parseRequestBody(config.data),
+    };
+
+    if (response) {
+      const { status, data, headers = {} } = response;
       const errorMessage = data?.message || error.message;
+      const retryAfter = Number(headers['retry-after']);
+
+      Object.assign(details, {
+        status,
+        response: data,
+        retryAfter: Number.isFinite(retryAfter) ? retryAfter * 1000 : null,
+      });
 
       switch (status) {
         case 401:
-          throw new ClientError(
+          throw new HTTPError(
             errorMessage || "Invalid or expired token",
-            errorCode || "UNAUTHORIZED"
+            data?.error || "UNAUTHORIZED",
+            details
           );
         case 403:
-          throw new ClientError(
+          throw new PermissionError(
             errorMessage || "Token lacks necessary permissions",
-            errorCode || "FORBIDDEN"
+            data?.error || "FORBIDDEN",
+            details
           );
         case 404:
-          throw new ClientError(
+          throw new HTTPError(
             errorMessage || "Resource not found",
-            errorCode || "NOT_FOUND"
+            data?.error || "NOT_FOUND",
+            details
           );
         case 429:
-          throw new ClientError(
+          throw new RateLimitError(
             errorMessage || "Rate limit exceeded",
-            errorCode || "RATE_LIMITED"
+            data?.error || "RATE_LIMITED",
+            {
+              ...details,
+              route: config.route,
+              limit: Number(headers['x-ratelimit-limit'] ?? headers['ratelimit-limit']) || null,
+              global: Boolean(headers['x-ratelimit-global'] || data?.global),
+            }
           );
         default:
-          throw new ClientError(
+          throw new HTTPError(
             errorMessage || "API request failed",
-            errorCode
+            data?.error || "UNKNOWN_ERROR",
+            details
           );
       }
     } else if (error.code === 'ECONNABORTED') {
-      throw new ClientError("Request timeout", "TIMEOUT");
+      throw new HTTPError("Request timeout", "TIMEOUT", details);
     } else if (error.code === 'ECONNREFUSED') {
-      throw new ClientError("Cannot connect to API server", "CONNECTION_REFUSED");
+      throw new HTTPError("Cannot connect to API server", "CONNECTION_REFUSED", details);
     } else {
-      throw new ClientError(
+      throw new HTTPError(
         error.message || "Network error",
-        error.code || "NETWORK_ERROR"
+        error.code || "NETWORK_ERROR",
+        details
       );
     }
   }
 
+  /**
+   * Returns the JSON body of a request, or undefined for uploads and empty bodies
+   * @private
+   */
+  _parseRequestBody(data) {
+    if (typeof data !== 'string') return undefined;
+
+    try {
+      return JSON.parse(data);
+    } catch (_) {
+      return data;
+    }
+  }
+
+  /**
+   * Builds the error for a failed gateway ack
+   * @private
+   */
+  _createGatewayError(event, payload, response, code) {
+    const details = {
+      event,
+      payload,
+      response,
+      retryAfter: Number.isFinite(response.retryAfter) ? response.retryAfter : null,
+    };
+
+    const rateLimited = response.code === 'RATE_LIMITED'
+      || response.rateLimited === true
+      || /rate.?limit/i.test(response.error);
+
+    if (rateLimited) {
+      return new RateLimitError(response.error, "RATE_LIMITED", {
+        ...details,
+        status: null,
+        route: event,
+        requestBody: payload,
+        retryAfter: details.retryAfter ?? this.sendQueue.retryDelay,
+      });
+    }
+
+    if (response.code === 'FORBIDDEN' || /permiss/i.test(response.error)) {
+      return new PermissionError(response.error, response.code || "FORBIDDEN", {
+        ...details,
+        status: null,
+        path: event,
+        requestBody: payload,
+      });
+    }
+
+    return new GatewayError(response.error, code, details);
+  }
+
   /**
    * Ensures the socket is connected before performing operations
    * @private
    */
   _ensureConnected() {
     if (!this.socket || !this.socket.connected || !this.isConnected) {
-      throw new ClientError(
+      throw new GatewayError(
         "Socket is not connected - please call login() first",
         "NOT_CONNECTED"
       );
@@ -1322,6 +1714,61 @@ class Client extends EventEmitter {
   // PRIVATE METHODS - Message Processing
   // ============================================================================
 
+  /**
+   * Nests the flat author fields of a REST message into a `user` object
+   * @private
+   */
+  _normalizeMessageData(raw) {
+    if (raw.user || !raw.user_id) return raw;
+
+    const userData = {
+      id: raw.user_id,
+      username: raw.username,
+      display_name: raw.display_name,
+      avatar_url: raw.avatar_url,
+      status: raw.status || 'online',
+      emblems: raw.emblems || [],
+      is_bot: raw.is_bot ?? false,
+      last_seen: raw.last_seen ?? raw.created_at,
+      created_at: raw.created_at,
+    };
+    return { ...raw, user: userData };
+  }
+
+  /**
+   * Sends each part of a split payload, in order
+   * @private
+   */
+  async _sendSplitMessage(channelId, payload) {
+    const messages = [];
+    for (const part of payload.split(this.config.maxMessageLength)) {
+      messages.push(await this.sendMessage(channelId, part));
+    }
+    return messages;
+  }
+
+  /**
+   * Emits `message:send` and resolves with the server ack
+   * The body carries a nonce, so the request is safe to emit again after a reconnect.
+   * Throttled sends reject with a RateLimitError so the send queue retries them.
+   * @private
+   */
+  _emitMessageSend(payload) {
+    return this.gateway.request('message:send', payload, { idempotent: true, errorCode: "SEND_ERROR" });
+  }
+
+  /**
+   * Whether `ignoreSelf` or `ignoreBots` keeps a received message out of `messageCreate`
+   * @private
+   */
+  _isIgnoredMessage({ authorId, isBot, nonce }) {
+    const isSelf = Boolean(nonce && this._sentNonces.has(nonce))
+      || Boolean(this.user && authorId !== undefined && authorId !== null && String(authorId) === String(this.user.id));
+
+    if (isSelf) return this.config.ignoreSelf;
+    return Boolean(isBot) && this.config.ignoreBots;
+  }
+
   /**
    * Processes raw socket message data into Message object
    * @private
@@ -1334,7 +1781,7 @@ class Client extends EventEmitter {
       if (cachedUser) {
         cachedUser.username = data.username || cachedUser.username;
         cachedUser.displayName = data.display_name || cachedUser.displayName;
-        cachedUser.avatarUrl = formatUrl(data.avatar_url) || cachedUser.avatarUrl;
+        cachedUser.avatarUrl = formatUrl(data.avatar_url, this.cdnUrl) || cachedUser.avatarUrl;
         msg.author = cachedUser;
       } else {
         msg.author = new User({
@@ -1351,18 +1798,10 @@ class Client extends EventEmitter {
       msg.channel = await this.fetchChannel(data.channel_id);
     }
 
-    if (msg.channel.memberCount !== msg.channel.members.size) {
-      await msg.channel.members.fetch();
-    }
+    await msg.mentions.fetch();
 
     if (!msg.sticker && data.sticker_id) {
-      let sticker = this.cache.stickers.get(data.sticker_id);
-
-      if (!sticker) {
-        sticker = await this.fetchSticker(data.sticker_id).catch(() => null);
-      }
-
-      msg.sticker = sticker;
+      msg.sticker = await this.stickers.fetch(data.sticker_id).catch(() => null);
     }
     return msg;
   }
@@ -1380,43 +1819,89 @@ class Client extends EventEmitter {
       const channel = msg.channel;
       this._ensureCached(this.cache.channels, channel.id, channel);
 
-      channel.messages.set(msg.id, msg);
+      this._getMessageStore(channel.id).set(msg.id, msg);
 
-      if (channel.messages.size > 50) {
-        const firstKey = channel.messages.firstKey(); // método do Collection
-        channel.messages.delete(firstKey);
+      const lastId = this._lastMessageIds.get(channel.id);
+      if (lastId === undefined || compareIds(msg.id, lastId) > 0) {
+        this._lastMessageIds.set(channel.id, msg.id);
       }
     }
   }
 
   /**
-   * Marks a message as deleted in cache
+   * Returns the message store of a channel, shared with `channel.messages`
    * @private
    */
-  _markMessageDeleted(messageId) {
-    for (const [channelId, messages] of this.cache.messages) {
-      const msg = messages.find(m => m.id === messageId);
-      if (msg) {
-        msg.deleted = true;
-        break;
-      }
+  _getMessageStore(channelId) {
+    let store = this.cache.messages.get(channelId);
+
+    if (!store) {
+      const channel = this.cache.channels.get(channelId);
+      store = channel ? channel.messages : this.caches.create('messages');
+      this.cache.messages.set(channelId, store);
     }
+
+    return store;
   }
 
   /**
-   * Updates message content in cache
+   * Finds a cached message, looking in the given channel first
    * @private
    */
-  _updateMessageContent(messageId, content, editedAt) {
-    for (const [channelId, messages] of this.cache.messages) {
-      const msg = messages.find(m => m.id === messageId);
-      if (msg) {
-        msg.content = content;
-        msg.editedAt = editedAt;
-        msg.edited = true;
-        break;
-      }
+  _findCachedMessage(messageId, channelId) {
+    if (channelId !== undefined && channelId !== null) {
+      const store = this.cache.messages.get(channelId);
+      if (store && store.has(messageId)) return { store, msg: store.get(messageId) };
     }
+
+    for (const store of this.cache.messages.values()) {
+      if (store.has(messageId)) return { store, msg: store.get(messageId) };
+    }
+
+    return { store: null, msg: null };
+  }
+
+  /**
+   * Finds the channel of a message event, from its payload or the cached message
+   * @private
+   * @returns {string|number|null} The channel ID, or null when unknown
+   */
+  _resolveEventChannelId(data) {
+    const channelId = data.channelId ?? data.channel_id;
+    if (channelId !== undefined && channelId !== null) return channelId;
+
+    return this._findCachedMessage(data.messageId).msg?.channel?.id ?? null;
+  }
+
+  /**
+   * Marks a message as deleted and removes it from the cache
+   * @private
+   * @returns {Message|null} The cached message, if any
+   */
+  _markMessageDeleted(messageId, channelId) {
+    const { store, msg } = this._findCachedMessage(messageId, channelId);
+    if (!msg) return null;
+
+    msg.deleted = true;
+    store.delete(messageId);
+    return msg;
+  }
+
+  /**
+   * Updates message content in cache
+   * @private
+   * @returns {{oldMessage: Message|null, newMessage: Message|null}} Snapshot before the edit and the updated message
+   */
+  _updateMessageContent(messageId, content, editedAt, channelId) {
+    const { msg } = this._findCachedMessage(messageId, channelId);
+    if (!msg) return { oldMessage: null, newMessage: null };
+
+    const oldMessage = msg._clone();
+    msg.content = content;
+    msg.editedAt = editedAt;
+    msg.edited = true;
+    msg.mentions = new MessageMentions(msg);
+    return { oldMessage, newMessage: msg };
   }
 
   // ============================================================================
@@ -1438,14 +1923,21 @@ class Client extends EventEmitter {
   }
 
   /**
-   * Updates channel data in cache
+   * Updates channel data in cache, returning snapshots before and after the update
    * @private
    */
   _updateChannel(data) {
-    if (this.cache.channels.has(data.id)) {
-      const channel = this.cache.channels.get(data.id);
-      Object.assign(channel, data);
+    const channel = this.cache.channels.get(data.id);
+
+    if (!channel) {
+      const newChannel = new Channel(data, this);
+      this.cache.channels.set(newChannel.id, newChannel);
+      return { oldChannel: null, newChannel };
     }
+
+    const oldChannel = channel._clone();
+    channel._patch(data);
+    return { oldChannel, newChannel: channel };
   }
 
   /**
@@ -1474,7 +1966,7 @@ class Client extends EventEmitter {
 
     if (Buffer.isBuffer(file)) {
       if (!fileName) {
-        throw new ClientError('fileName is required when sending a Buffer', 'MISSING_FILENAME');
+        throw new ValidationError('fileName is required when sending a Buffer', 'MISSING_FILENAME');
       }
       fileBuffer = file;
       finalFileName = fileName;
@@ -1483,7 +1975,7 @@ class Client extends EventEmitter {
       if (file.startsWith('data:')) {
         const matches = file.match(/^data:([^;]+);base64,(.+)$/);
         if (!matches) {
-          throw new ClientError('Invalid base64 string', 'INVALID_BASE64');
+          throw new ValidationError('Invalid base64 string', 'INVALID_BASE64');
         }
 
         const mimeType = matches[1];
@@ -1505,20 +1997,20 @@ class Client extends EventEmitter {
       }
       else if (file.match(/^[A-Za-z0-9+/=]+$/)) {
         if (!fileName) {
-          throw new ClientError('fileName is required when sending base64 without data URI', 'MISSING_FILENAME');
+          throw new ValidationError('fileName is required when sending base64 without data URI', 'MISSING_FILENAME');
         }
         fileBuffer = Buffer.from(file, 'base64');
         finalFileName = fileName;
       }
       else {
         if (!fs.existsSync(file)) {
-          throw new ClientError('File not found', 'FILE_NOT_FOUND');
+          throw new ValidationError('File not found', 'FILE_NOT_FOUND');
         }
         fileBuffer = fs.readFileSync(file);
         finalFileName = path.basename(file);
       }
     } else {
-      throw new ClientError('Invalid file type. Expected Buffer, base64 string, or file path', 'INVALID_FILE_TYPE');
+      throw new ValidationError('Invalid file type. Expected Buffer, base64 string, or file path', 'INVALID_FILE_TYPE');
     }
 
     const ext = path.extname(finalFileName).toLowerCase();
@@ -1533,13 +2025,18 @@ class Client extends EventEmitter {
       detectedType = 'file';
     }
 
-    const formData = new FormData();
-    formData.append('file', fileBuffer, finalFileName);
+    const createForm = () => {
+      const formData = new FormData();
+      formData.append('file', fileBuffer, finalFileName);
+      return formData;
+    };
 
     try {
+      const formData = createForm();
       const uploadResponse = await this._axios.post('/api/upload', formData, {
         headers: formData.getHeaders(),
-        timeout: 30000
+        timeout: 30000,
+        rebuildData: createForm
       });
 
       return {
@@ -1547,6 +2044,7 @@ class Client extends EventEmitter {
         detectedType
       };
     } catch (error) {
+      if (error instanceof HTTPError) throw error;
       throw new ClientError(`File upload error: ${error.message}`, 'UPLOAD_FAILED');
     }
   }
@@ -1573,28 +2071,39 @@ class Client extends EventEmitter {
    * @template {keyof ClientEvents} K
    * @param {K} event
    * @param {ClientEvents[K]} payload
+   * @param {...*} extra - Additional arguments, e.g. the old Message of `messageEdit`
    * @returns {this}
    */
-  emit(event, payload) {
-    return super.emit(event, payload);
-  }
-}
-
-/**
- * @internal
- */
-class ClientError extends Error {
-  /**
-   * @param {string} message - Error message
-   * @param {string} code - Error code
-  */
-  constructor(message, code) {
-    super(message);
-    this.name = 'ClientError';
-    this.code = code;
+  emit(event, payload, ...extra) {
+    return super.emit(event, payload, ...extra);
   }
 }
 
+Client.Message = Message;
+Client.User = User;
+Client.Channel = Channel;
+Client.ChannelMember = ChannelMember;
+Client.Permissions = Permissions;
+Client.MessageMentions = MessageMentions;
+Client.Attachment = Attachment;
+Client.MessagePayload = MessagePayload;
+Client.Formatters = Formatters;
+Client.splitMessage = splitMessage;
+Client.Emoji = Emoji;
+Client.Sticker = Sticker;
+Client.MessageCollector = MessageCollector;
+Client.UserManager = UserManager;
+Client.ChannelManager = ChannelManager;
+Client.EmojiManager = EmojiManager;
+Client.StickerManager = StickerManager;
+Client.ChannelMemberManager = ChannelMemberManager;
 Client.MessageEmbed = MessageEmbed;
-// Client.ClientError = ClientError;
+Client.MessageAttachment = MessageAttachment;
+Client.CommandHandler = CommandHandler;
+Client.ClientError = ClientError;
+Client.HTTPError = HTTPError;
+Client.RateLimitError = RateLimitError;
+Client.PermissionError = PermissionError;
+Client.GatewayError = GatewayError;
+Client.ValidationError = ValidationError;
 module.exports = Client;
\ No newline at end of file
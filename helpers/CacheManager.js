@@ -0,0 +1,156 @@
+const LimitedCollection = require('./LimitedCollection');
+
+/**
+ * @typedef {Object} CacheStore
+ * A Map-like store. Any object with these members can replace the default LimitedCollection.
+ * @property {function(*): *} get
+ * @property {function(*, *): CacheStore} set
+ * @property {function(*): boolean} has
+ * @property {function(*): boolean} delete
+ * @property {function(): void} clear
+ * @property {function(): Iterator} keys
+ * @property {function(): Iterator} values
+ * @property {function(): Iterator} entries
+ * @property {number} size
+ * @property {function(): number} [sweepExpired] - Removes expired entries, called by the sweeper when present.
+ */
+
+/**
+ * @typedef {Object} CacheOptions
+ * @property {number} [maxSize] - Maximum entries per store, least recently used entries are evicted first.
+ * @property {number} [ttl] - Time in ms an entry lives after its last use.
+ * @property {function(string, CacheOptions): CacheStore} [store] - Creates the store for this type.
+ */
+
+const CACHE_TYPES = ['users', 'channels', 'messages', 'emojis', 'stickers'];
+
+const DEFAULT_OPTIONS = {
+  users: {},
+  channels: {},
+  messages: { maxSize: 50 },
+  emojis: {},
+  stickers: {},
+};
+
+/**
+ * @internal
+ * Creates the cache stores of a client and sweeps expired entries.
+ */
+class CacheManager {
+  /**
+   * Creates a new CacheManager.
+   * @param {import('../Client')} client - The client that owns the caches.
+   * @param {Object} [options={}] - Cache options, keyed by type.
+   * @param {CacheOptions|false} [options.users] - Users cache, `false` disables it.
+   * @param {CacheOptions|false} [options.channels] - Channels cache, `false` disables it.
+   * @param {CacheOptions|false} [options.messages] - Messages cache, limits apply per channel. Defaults to 50 messages.
+   * @param {CacheOptions|false} [options.emojis] - Emojis cache, `false` disables it.
+   * @param {CacheOptions|false} [options.stickers] - Stickers cache, `false` disables it.
+   * @param {function(string, CacheOptions): CacheStore} [options.store] - Creates the store of every type without its own.
+   * @param {number} [options.sweepInterval=60000] - How often expired entries are removed, in ms.
+   * @example
+   * new Client({
+   *   token: 'YOUR_BOT_TOKEN',
+   *   cache: {
+   *     users: { maxSize: 5000, ttl: 6 * 60 * 60 * 1000 },
+   *     messages: { maxSize: 100 },
+   *     stickers: false,
+   *     store: (type, options) => new RedisLikeStore(`bot:${type}`, options)
+   *   }
+   * });
+   */
+  constructor(client, options = {}) {
+    this.client = client;
+    this.sweepInterval = options.sweepInterval ?? 60000;
+
+    /**
+     * Resolved options per type.
+     * @type {Object<string, CacheOptions>}
+     */
+    this.options = {};
+
+    for (const type of CACHE_TYPES) {
+      const typeOptions = options[type];
+      this.options[type] = typeOptions === false
+        ? { maxSize: 0 }
+        : { store: options.store, ...DEFAULT_OPTIONS[type], ...typeOptions };
+    }
+
+    /**
+     * Stores that are shared by the whole client, swept on every interval.
+     * @type {Set<CacheStore>}
+     * @private
+     */
+    this._stores = new Set();
+
+    this._sweeper = null;
+    if (this.sweepInterval > 0 && CACHE_TYPES.some(type => this.options[type].ttl)) {
+      this._sweeper = setInterval(() => this.sweep(), this.sweepInterval);
+      if (this._sweeper.unref) this._sweeper.unref();
+    }
+  }
+
+  /**
+   * Creates a store for a cache type.
+   * @param {string} type - One of users, channels, messages, emojis or stickers.
+   * @returns {CacheStore}
+   */
+  create(type) {
+    const options = this.options[type] || {};
+    const store = typeof options.store === 'function'
+      ? options.store(type, options)
+      : new LimitedCollection(options);
+
+    // Per-channel message stores are swept through their channel
+    if (type !== 'messages') this._stores.add(store);
+
+    return store;
+  }
+
+  /**
+   * Whether a cache type keeps anything.
+   * @param {string} type - The cache type.
+   * @returns {boolean}
+   */
+  isEnabled(type) {
+    const options = this.options[type];
+    return Boolean(options) && options.maxSize !== 0;
+  }
+
+  /**
+   * Removes expired entries from every store.
+   * @returns {number} The number of removed entries.
+   */
+  sweep() {
+    let removed = 0;
+
+    for (const store of this._stores) {
+      if (typeof store.sweepExpired === 'function') removed += store.sweepExpired();
+    }
+
+    const messageStores = new Set(this.client.cache.messages.values());
+    for (const channel of this.client.cache.channels.values()) {
+      if (channel.messages) messageStores.add(channel.messages);
+    }
+    for (const store of messageStores) {
+      if (typeof store.sweepExpired === 'function') removed += store.sweepExpired();
+    }
+
+    return removed;
+  }
+
+  /**
+   * Stops the sweeper.
+   * @returns {void}
+   */
+  destroy() {
+    if (this._sweeper) {
+      clearInterval(this._sweeper);
+      this._sweeper = null;
+    }
+  }
+}
+
+CacheManager.TYPES = CACHE_TYPES;
+
+module.exports = CacheManager;
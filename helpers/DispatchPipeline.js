@@ -0,0 +1,140 @@
+/**
+ * @internal
+ * Hydrates gateway events concurrently and dispatches them one at a time per channel,
+ * in the order they arrived.
+ * @example
+ * pipeline.push('message:new', data.channelId, {
+ *   hydrate: () => client._processSocketMessage(data),
+ *   dispatch: msg => client.emit('messageCreate', msg),
+ * });
+ */
+class DispatchPipeline {
+  /**
+   * Creates a new DispatchPipeline.
+   * @param {Object} [options={}] - Pipeline options.
+   * @param {number} [options.limit=50] - Most events hydrated at once. Further events wait for a free slot,
+   * in arrival order, before their hydration starts.
+   * @param {function(Object): void} [options.onDispatch] - Called after every dispatch with
+   * `{event, channelId, receivedAt, latency}`, where `latency` is the time in ms from arrival to dispatch.
+   * @param {function(Error, string): void} [options.onError] - Called when hydrating or dispatching an event fails.
+   */
+  constructor(options = {}) {
+    this.limit = options.limit ?? 50;
+    this.onDispatch = options.onDispatch ?? null;
+    this.onError = options.onError ?? null;
+
+    /**
+     * Events received and not dispatched yet.
+     * @type {number}
+     */
+    this.size = 0;
+
+    /**
+     * Hydrations running.
+     * @type {number}
+     */
+    this.running = 0;
+
+    /**
+     * Last event of each channel, which the next event of the channel waits for.
+     * @type {Map<string, Promise<void>>}
+     */
+    this.tails = new Map();
+
+    /**
+     * Last event without a channel, which every later event waits for.
+     * @type {Promise<void>|null}
+     */
+    this.barrier = null;
+
+    this._waiting = [];
+  }
+
+  /**
+   * Queues an event. Its hydration starts as soon as a slot is free; its dispatch waits
+   * until every earlier event of the same channel was dispatched.
+   * @param {string} event - The gateway event, reported to the hooks.
+   * @param {string|number|null} channelId - The channel of the event, or null when unknown,
+   * which orders it after every queued event.
+   * @param {Object} handlers - How to handle the event.
+   * @param {function(): Promise<*>} [handlers.hydrate] - Fetches what the event needs, concurrently.
+   * @param {function(*): (void|Promise<void>)} handlers.dispatch - Applies and emits the event, in order,
+   * with the result of `hydrate`.
+   * @returns {Promise<void>} Resolves once the event was dispatched, or failed.
+   */
+  push(event, channelId, { hydrate, dispatch }) {
+    const receivedAt = Date.now();
+    const key = channelId === undefined || channelId === null ? null : String(channelId);
+    this.size++;
+
+    const hydrated = hydrate ? this._hydrate(hydrate) : Promise.resolve();
+    // Handled by the chain below once the previous event is done
+    hydrated.catch(() => { });
+
+    const previous = key === null
+      ? Promise.all([...this.tails.values(), this.barrier])
+      : this.tails.get(key) ?? this.barrier ?? Promise.resolve();
+
+    const tail = previous
+      .then(() => hydrated)
+      .then(value => dispatch(value))
+      .then(() => {
+        if (this.onDispatch) this.onDispatch({ event, channelId, receivedAt, latency: Date.now() - receivedAt });
+      })
+      .catch(error => {
+        if (this.onError) this.onError(error, event);
+      })
+      .finally(() => {
+        this.size--;
+        if (key === null) {
+          if (this.barrier === tail) this.barrier = null;
+          for (const [channel, last] of this.tails) {
+            if (last === tail) this.tails.delete(channel);
+          }
+        } else if (this.tails.get(key) === tail) {
+          this.tails.delete(key);
+        }
+      });
+
+    if (key === null) {
+      this.barrier = tail;
+      for (const channel of this.tails.keys()) this.tails.set(channel, tail);
+    } else {
+      this.tails.set(key, tail);
+    }
+
+    return tail;
+  }
+
+  /**
+   * Resolves once every queued event was dispatched.
+   * @returns {Promise<void>}
+   */
+  async idle() {
+    while (this.size > 0) {
+      await Promise.all([...this.tails.values(), this.barrier]);
+    }
+  }
+
+  /**
+   * Runs a hydration once a slot is free.
+   * @private
+   */
+  async _hydrate(hydrate) {
+    if (this.running >= this.limit) {
+      await new Promise(resolve => this._waiting.push(resolve));
+    } else {
+      this.running++;
+    }
+
+    try {
+      return await hydrate();
+    } finally {
+      const next = this._waiting.shift();
+      if (next) next();
+      else this.running--;
+    }
+  }
+}
+
+module.exports = DispatchPipeline;
@@ -0,0 +1,125 @@
+/**
+ * Base class of every error thrown by the library.
+ */
+class ClientError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {string} code - Error code
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = 'ClientError';
+    this.code = code;
+  }
+}
+
+/**
+ * Thrown when a REST request fails, either with an error response or without reaching the server.
+ */
+class HTTPError extends ClientError {
+  /**
+   * @param {string} message - Error message
+   * @param {string} code - Error code
+   * @param {Object} [details={}] - Request context
+   * @param {number|null} [details.status] - HTTP status, null when no response was received
+   * @param {string} [details.method] - HTTP method of the request
+   * @param {string} [details.path] - Path of the request
+   * @param {*} [details.requestBody] - Body that was sent
+   * @param {*} [details.response] - Error payload returned by the server
+   * @param {number|null} [details.retryAfter] - Suggested delay in ms before retrying, null when retrying will not help
+   */
+  constructor(message, code, details = {}) {
+    super(message, code);
+    this.name = 'HTTPError';
+    this.status = details.status ?? null;
+    this.method = details.method ?? null;
+    this.path = details.path ?? null;
+    this.requestBody = details.requestBody;
+    this.response = details.response;
+    this.retryAfter = details.retryAfter ?? null;
+  }
+}
+
+/**
+ * Thrown when a request is rejected because of a rate limit, either by the REST API or the gateway.
+ */
+class RateLimitError extends HTTPError {
+  /**
+   * @param {string} message - Error message
+   * @param {string} [code="RATE_LIMITED"] - Error code
+   * @param {Object} [details={}] - Same as {@link HTTPError}, plus:
+   * @param {string} [details.route] - Rate limited route or gateway event
+   * @param {number} [details.limit] - Requests allowed per window
+   * @param {boolean} [details.global=false] - Whether the limit applies to every route
+   */
+  constructor(message, code = 'RATE_LIMITED', details = {}) {
+    super(message, code, { status: 429, ...details });
+    this.name = 'RateLimitError';
+    this.route = details.route ?? this.path;
+    this.limit = details.limit ?? null;
+    this.global = details.global ?? false;
+  }
+}
+
+/**
+ * Thrown when the API refuses an action because the bot lacks the rights for it.
+ */
+class PermissionError extends HTTPError {
+  /**
+   * @param {string} message - Error message
+   * @param {string} [code="FORBIDDEN"] - Error code
+   * @param {Object} [details={}] - Same as {@link HTTPError}
+   * @param {string[]} [details.missing] - Capabilities missing, when checked before the request
+   */
+  constructor(message, code = 'FORBIDDEN', details = {}) {
+    super(message, code, { status: 403, ...details });
+    this.name = 'PermissionError';
+    this.missing = details.missing ?? [];
+  }
+}
+
+/**
+ * Thrown when a gateway (socket) request fails or cannot be sent.
+ */
+class GatewayError extends ClientError {
+  /**
+   * @param {string} message - Error message
+   * @param {string} code - Error code
+   * @param {Object} [details={}] - Gateway context
+   * @param {string} [details.event] - Socket event that was emitted
+   * @param {*} [details.payload] - Payload that was emitted
+   * @param {*} [details.response] - Error payload of the server ack
+   * @param {number|null} [details.retryAfter] - Suggested delay in ms before retrying
+   */
+  constructor(message, code, details = {}) {
+    super(message, code);
+    this.name = 'GatewayError';
+    this.event = details.event ?? null;
+    this.payload = details.payload;
+    this.response = details.response;
+    this.retryAfter = details.retryAfter ?? null;
+  }
+}
+
+/**
+ * Thrown when an argument is invalid, before anything is sent to the server.
+ */
+class ValidationError extends ClientError {
+  /**
+   * @param {string} message - Error message
+   * @param {string} code - Error code
+   */
+  constructor(message, code) {
+    super(message, code);
+    this.name = 'ValidationError';
+  }
+}
+
+module.exports = {
+  ClientError,
+  HTTPError,
+  RateLimitError,
+  PermissionError,
+  GatewayError,
+  ValidationError
+};
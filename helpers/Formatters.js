@@ -0,0 +1,45 @@
+/**
+ * Resolves a structure or ID to its ID.
+ * @param {string|number|Object} target - The structure or ID.
+ * @returns {string|number}
+ */
+function resolveId(target) {
+  return typeof target === 'object' && target !== null ? target.id : target;
+}
+
+/**
+ * Builds the mention of a user.
+ * @param {string|number|Object} user - The user, member or ID.
+ * @returns {string}
+ * @example
+ * channel.send(`Welcome ${userMention(member)}!`); // "Welcome <@42>!"
+ */
+function userMention(user) {
+  return `<@${resolveId(user)}>`;
+}
+
+/**
+ * Builds the mention of a channel.
+ * @param {string|number|Object} channel - The channel or ID.
+ * @returns {string}
+ * @example
+ * msg.reply(`Please ask in ${channelMention(support)}`); // "Please ask in <#7>"
+ */
+function channelMention(channel) {
+  return `<#${resolveId(channel)}>`;
+}
+
+/**
+ * Builds the markup of a custom emoji.
+ * @param {Object|string|number} emoji - The emoji, or its ID when `name` is given.
+ * @param {string} [name] - The emoji name, taken from the emoji by default.
+ * @returns {string}
+ * @example
+ * formatEmoji(emoji);         // "<:cat:3>"
+ * formatEmoji(3, 'cat');      // "<:cat:3>"
+ */
+function formatEmoji(emoji, name = emoji?.name) {
+  return `<:${name}:${resolveId(emoji)}>`;
+}
+
+module.exports = { userMention, channelMention, formatEmoji };
@@ -0,0 +1,231 @@
+const { GatewayError } = require('./Errors');
+
+/**
+ * @internal
+ * Emits gateway requests and settles them with the server ack, a matching event, a timeout,
+ * or the loss of the connection, whichever comes first.
+ */
+class GatewayRequestManager {
+  /**
+   * Creates a new GatewayRequestManager.
+   * @param {import('../Client')} client - The client whose socket requests are emitted on.
+   * @param {Object} [options={}] - Manager options.
+   * @param {number} [options.timeout=10000] - How long to wait for an ack, in ms.
+   * @param {boolean} [options.retryOnReconnect=false] - Whether idempotent requests pending when the
+   * connection drops are emitted again after a reconnect instead of rejecting.
+   */
+  constructor(client, options = {}) {
+    this.client = client;
+    this.timeout = options.timeout ?? 10000;
+    this.retryOnReconnect = options.retryOnReconnect ?? false;
+
+    /**
+     * Requests waiting for an answer, keyed by request ID.
+     * @type {Map<string, Object>}
+     */
+    this.pending = new Map();
+
+    /**
+     * Idempotent requests held while the client is offline, emitted again by `replay`.
+     * @type {Map<string, Object>}
+     */
+    this.held = new Map();
+
+    this._sequence = 0;
+  }
+
+  /**
+   * Emits a request and waits for the server to answer it.
+   * The payload is sent with a `requestId` correlation ID.
+   * @param {string} event - The socket event.
+   * @param {Object} [payload={}] - The payload.
+   * @param {Object} [options={}] - Request options.
+   * @param {number} [options.timeout] - How long to wait for an answer, in ms.
+   * @param {boolean} [options.idempotent=false] - Whether sending the request twice is harmless,
+   * which allows emitting it again after a reconnect.
+   * @param {string} [options.errorCode="GATEWAY_ERROR"] - Code of the error thrown when the ack holds an error.
+   * @param {{event: string, filter?: function(*): boolean}} [options.response] - An event that answers the
+   * request too, for servers that broadcast the result instead of acking. Events carrying the
+   * `requestId` always match, others must pass `filter`.
+   * @returns {Promise<*>} The ack, or the data of the matching event.
+   * @throws {GatewayError} With code `NOT_CONNECTED`, `REQUEST_TIMEOUT` or `DISCONNECTED`,
+   * or the error built from the ack.
+   */
+  request(event, payload = {}, options = {}) {
+    return new Promise((resolve, reject) => {
+      try {
+        this.client._ensureConnected();
+      } catch (error) {
+        return reject(error);
+      }
+
+      const id = this._nextId();
+      const request = {
+        id,
+        event,
+        payload: { ...payload, requestId: id },
+        timeout: options.timeout ?? this.timeout,
+        idempotent: options.idempotent ?? false,
+        errorCode: options.errorCode ?? 'GATEWAY_ERROR',
+        response: options.response ?? null,
+        resolve,
+        reject,
+        timer: null,
+        listener: null,
+        socket: null,
+      };
+
+      this._emit(request);
+    });
+  }
+
+  /**
+   * Settles the requests pending when the connection dropped.
+   * Idempotent requests are held for `replay` when `retryOnReconnect` is on, the rest reject.
+   * Held requests keep their timeout, so they still reject when no reconnect replays them in time.
+   * @param {string} [reason] - Why the connection dropped.
+   * @returns {void}
+   */
+  suspend(reason = 'connection lost') {
+    for (const request of [...this.pending.values()]) {
+      if (this.retryOnReconnect && request.idempotent) {
+        this._detach(request);
+        this.held.set(request.id, request);
+      } else {
+        this._cleanup(request);
+        request.reject(this._disconnectedError(request, reason));
+      }
+    }
+  }
+
+  /**
+   * Emits the held requests again once the client is connected.
+   * @returns {number} How many requests were emitted.
+   */
+  replay() {
+    const requests = [...this.held.values()];
+    this.held.clear();
+
+    for (const request of requests) {
+      try {
+        this.client._ensureConnected();
+      } catch (error) {
+        clearTimeout(request.timer);
+        request.reject(error);
+        continue;
+      }
+      this._emit(request);
+    }
+
+    return requests.length;
+  }
+
+  /**
+   * Rejects every pending and held request.
+   * @param {string} [reason] - Why the requests are dropped.
+   * @returns {void}
+   */
+  clear(reason = 'client disconnected') {
+    this.suspend(reason);
+
+    for (const request of this.held.values()) {
+      clearTimeout(request.timer);
+      request.reject(this._disconnectedError(request, reason));
+    }
+    this.held.clear();
+  }
+
+  /**
+   * Emits a request and starts its timer.
+   * @private
+   */
+  _emit(request) {
+    const socket = this.client.socket;
+    this.pending.set(request.id, request);
+
+    clearTimeout(request.timer);
+    request.timer = setTimeout(() => {
+      this._cleanup(request);
+      this.held.delete(request.id);
+      request.reject(new GatewayError(
+        `No answer to ${request.event} within ${request.timeout}ms`,
+        'REQUEST_TIMEOUT',
+        { event: request.event, payload: request.payload }
+      ));
+    }, request.timeout);
+
+    if (request.response) {
+      const { event, filter } = request.response;
+      request.listener = (data) => {
+        const correlated = data && data.requestId !== undefined;
+        if (correlated ? data.requestId !== request.id : filter && !filter(data)) return;
+        this._settle(request, data);
+      };
+      request.socket = socket;
+      socket.on(event, request.listener);
+    }
+
+    socket.emit(request.event, request.payload, (response) => this._settle(request, response));
+  }
+
+  /**
+   * Settles a request with its ack or matching event, unless it already timed out.
+   * @private
+   */
+  _settle(request, response) {
+    if (this.pending.get(request.id) !== request) return;
+    this._cleanup(request);
+
+    if (response && response.error) {
+      request.reject(this.client._createGatewayError(request.event, request.payload, response, request.errorCode));
+    } else {
+      request.resolve(response);
+    }
+  }
+
+  /**
+   * Stops tracking a request.
+   * @private
+   */
+  _cleanup(request) {
+    clearTimeout(request.timer);
+    this._detach(request);
+  }
+
+  /**
+   * Stops waiting for the answer of a request on the current socket, leaving its timer running.
+   * @private
+   */
+  _detach(request) {
+    this.pending.delete(request.id);
+
+    if (request.listener) {
+      request.socket.off(request.response.event, request.listener);
+      request.listener = null;
+      request.socket = null;
+    }
+  }
+
+  /**
+   * Builds the error of a request dropped with the connection.
+   * @private
+   */
+  _disconnectedError(request, reason) {
+    return new GatewayError(
+      `${request.event} was not answered before the connection closed (${reason})`,
+      'DISCONNECTED',
+      { event: request.event, payload: request.payload }
+    );
+  }
+
+  /**
+   * Returns a new correlation ID.
+   * @private
+   */
+  _nextId() {
+    this._sequence = (this._sequence + 1) % Number.MAX_SAFE_INTEGER;
+    return `${Date.now().toString(36)}-${this._sequence.toString(36)}`;
+  }
+}
+
+module.exports = GatewayRequestManager;
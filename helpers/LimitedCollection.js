@@ -0,0 +1,118 @@
+const Collection = require('@discordjs/collection').Collection;
+
+/**
+ * @internal
+ * A Collection with a maximum size, least-recently-used eviction and an optional time to live.
+ */
+class LimitedCollection extends Collection {
+  /**
+   * Creates a new LimitedCollection.
+   * @param {Object} [options={}] - Limits of the collection.
+   * @param {number} [options.maxSize=Infinity] - Maximum entries kept, 0 keeps nothing.
+   * @param {number} [options.ttl=0] - Time in ms an entry lives after its last use, 0 for no expiry.
+   * @example
+   * const users = new LimitedCollection({ maxSize: 2 });
+   * users.set(1, a).set(2, b);
+   * users.get(1);   // 1 is now the most recently used
+   * users.set(3, c); // evicts 2
+   */
+  constructor(options = {}) {
+    super();
+
+    this.maxSize = options.maxSize ?? Infinity;
+    this.ttl = options.ttl ?? 0;
+
+    /**
+     * Last use timestamps, keyed like the collection and ordered from least to most recently used.
+     * The collection itself keeps its insertion order, so reading it while iterating is safe.
+     * @type {Map<*, number>}
+     * @private
+     */
+    Object.defineProperty(this, '_lastUsed', { value: new Map() });
+  }
+
+  /**
+   * Collections derived through `filter`, `map`, etc. are plain Collections.
+   */
+  static get [Symbol.species]() {
+    return Collection;
+  }
+
+  get(key) {
+    if (!this.has(key)) return undefined;
+
+    this._touch(key);
+    return super.get(key);
+  }
+
+  has(key) {
+    if (!super.has(key)) return false;
+
+    if (this._isExpired(key)) {
+      this.delete(key);
+      return false;
+    }
+
+    return true;
+  }
+
+  set(key, value) {
+    if (this.maxSize <= 0) return this;
+
+    super.set(key, value);
+    this._touch(key);
+
+    while (this.size > this.maxSize) {
+      this.delete(this._lastUsed.keys().next().value);
+    }
+
+    return this;
+  }
+
+  delete(key) {
+    this._lastUsed.delete(key);
+    return super.delete(key);
+  }
+
+  clear() {
+    this._lastUsed.clear();
+    return super.clear();
+  }
+
+  /**
+   * Removes every expired entry. Unlike `sweep(fn)`, which is kept from Collection, it takes no filter.
+   * @returns {number} The number of removed entries.
+   */
+  sweepExpired() {
+    if (!this.ttl) return 0;
+
+    let removed = 0;
+    for (const key of [...this.keys()]) {
+      if (this._isExpired(key)) {
+        this.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Marks an entry as the most recently used.
+   * @private
+   */
+  _touch(key) {
+    this._lastUsed.delete(key);
+    this._lastUsed.set(key, Date.now());
+  }
+
+  /**
+   * @private
+   */
+  _isExpired(key) {
+    if (!this.ttl) return false;
+    const lastUsed = this._lastUsed.get(key);
+    return lastUsed !== undefined && Date.now() - lastUsed > this.ttl;
+  }
+}
+
+module.exports = LimitedCollection;
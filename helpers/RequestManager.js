@@ -0,0 +1,229 @@
+const { sleep } = require('./index');
+
+/**
+ * @internal
+ * Tracks REST rate limit buckets per method and route and queues requests on an axios instance.
+ */
+class RequestManager {
+  /**
+   * Creates a new RequestManager and hooks it into the given axios instance.
+   * @param {import('../Client')} client - The client that owns the axios instance.
+   * @param {import('axios').AxiosInstance} axiosInstance - The axios instance to manage.
+   * @param {Object} [options={}] - Manager options.
+   * @param {number} [options.retryLimit=3] - How many times a rate limited request is retried.
+   * @param {number} [options.offset=50] - Extra delay in ms added to every reset time.
+   */
+  constructor(client, axiosInstance, options = {}) {
+    this.client = client;
+    this.axios = axiosInstance;
+    this.retryLimit = options.retryLimit ?? 3;
+    this.offset = options.offset ?? 50;
+
+    /**
+     * Known rate limit buckets, keyed by method and route, e.g. `POST /api/channels/:id/messages`.
+     * @type {Map<string, {limit: number, remaining: number, resetAt: number, queue: Promise<void>}>}
+     */
+    this.buckets = new Map();
+
+    /**
+     * Timestamp until which every request is on hold after a global rate limit.
+     * @type {number}
+     */
+    this.globalResetAt = 0;
+
+    this.axios.interceptors.request.use(config => this._onRequest(config));
+    this.axios.interceptors.response.use(
+      response => this._onResponse(response),
+      error => this._onError(error)
+    );
+  }
+
+  /**
+   * Normalizes a request path into a route, replacing IDs with `:id`.
+   * @param {string} url - The request path.
+   * @returns {string} The route, e.g. `/api/channels/:id/messages`.
+   * @example
+   * RequestManager.getRoute('/api/channels/12/messages?limit=50'); // '/api/channels/:id/messages'
+   */
+  static getRoute(url = '') {
+    return url
+      .split('?')[0]
+      .replace(/\/(\d+|[0-9a-f]{8}-[0-9a-f-]{27})(?=\/|$)/gi, '/:id');
+  }
+
+  /**
+   * Returns the bucket key of a request.
+   * @param {string} [method='get'] - The HTTP method.
+   * @param {string} route - The normalized route.
+   * @returns {string} The key, e.g. `GET /api/channels/:id/messages`.
+   */
+  static getBucketKey(method = 'get', route) {
+    return `${method.toUpperCase()} ${route}`;
+  }
+
+  /**
+   * Returns the bucket of a request, creating it when needed.
+   * @param {Object} config - The axios request config.
+   * @private
+   */
+  _getBucket(config) {
+    const key = RequestManager.getBucketKey(config.method, config.route || RequestManager.getRoute(config.url));
+    let bucket = this.buckets.get(key);
+    if (!bucket) {
+      bucket = { limit: Infinity, remaining: Infinity, resetAt: 0, queue: Promise.resolve() };
+      this.buckets.set(key, bucket);
+    }
+    return bucket;
+  }
+
+  /**
+   * Waits for a free slot in the request's bucket before it is sent.
+   * @private
+   */
+  async _onRequest(config) {
+    config.route = RequestManager.getRoute(config.url);
+    const bucket = this._getBucket(config);
+
+    // Requests of the same bucket pass through this chain one at a time
+    const turn = bucket.queue.then(async () => {
+      const globalWait = this.globalResetAt - Date.now();
+      if (globalWait > 0) await sleep(globalWait);
+
+      if (bucket.remaining <= 0) {
+        const wait = bucket.resetAt - Date.now();
+        if (wait > 0) {
+          // Retries were already reported when the 429 came in
+          if (!config.rateLimitRetries) this._emitRateLimited(config, bucket, wait, false);
+          await sleep(wait);
+        }
+        bucket.remaining = bucket.limit;
+      }
+
+      bucket.remaining--;
+    });
+
+    bucket.queue = turn.catch(() => { });
+    await turn;
+    return config;
+  }
+
+  /**
+   * Updates the bucket from the rate limit headers of a successful response.
+   * @private
+   */
+  _onResponse(response) {
+    this._updateBucket(response.config, response.headers);
+    return response;
+  }
+
+  /**
+   * Retries requests rejected with HTTP 429 once their bucket resets.
+   * A stream body, such as an upload form, is consumed by the first attempt: it is rebuilt with the
+   * `rebuildData` function of the request config, and the request is not retried without one.
+   * @private
+   */
+  async _onError(error) {
+    const { config, response } = error;
+    if (!config || !response || response.status !== 429) throw error;
+
+    const bucket = this._updateBucket(config, response.headers);
+    const retryAfter = this._parseRetryAfter(response.headers, response.data, bucket);
+    const isGlobal = Boolean(response.headers['x-ratelimit-global'] || response.data?.global);
+    const resetAt = Date.now() + retryAfter;
+
+    if (isGlobal) {
+      this.globalResetAt = Math.max(this.globalResetAt, resetAt);
+    } else {
+      bucket.remaining = 0;
+      bucket.resetAt = Math.max(bucket.resetAt, resetAt);
+    }
+
+    this._emitRateLimited(config, bucket, retryAfter, isGlobal);
+
+    config.rateLimitRetries = (config.rateLimitRetries || 0) + 1;
+    if (config.rateLimitRetries > this.retryLimit) throw error;
+
+    if (config.data && typeof config.data.pipe === 'function') {
+      if (typeof config.rebuildData !== 'function') throw error;
+
+      config.data = config.rebuildData();
+      if (typeof config.data.getHeaders === 'function') {
+        for (const [name, value] of Object.entries(config.data.getHeaders())) config.headers[name] = value;
+      }
+    }
+
+    return this.axios.request(config);
+  }
+
+  /**
+   * Reads `x-ratelimit-*` / `ratelimit-*` headers into the request's bucket.
+   * @private
+   */
+  _updateBucket(config, headers = {}) {
+    const bucket = this._getBucket(config);
+
+    const limit = Number(headers['x-ratelimit-limit'] ?? headers['ratelimit-limit']);
+    const remaining = Number(headers['x-ratelimit-remaining'] ?? headers['ratelimit-remaining']);
+    const reset = headers['x-ratelimit-reset-after'] ?? headers['x-ratelimit-reset'] ?? headers['ratelimit-reset'];
+
+    if (Number.isFinite(limit)) bucket.limit = limit;
+    if (Number.isFinite(remaining)) bucket.remaining = remaining;
+    if (reset !== undefined) {
+      const resetAt = RequestManager._parseReset(Number(reset));
+      if (resetAt) bucket.resetAt = resetAt + this.offset;
+    }
+
+    return bucket;
+  }
+
+  /**
+   * Converts a reset header into a timestamp. Accepts epoch seconds, epoch milliseconds or seconds from now.
+   * @private
+   */
+  static _parseReset(value) {
+    if (!Number.isFinite(value)) return null;
+    if (value > 1e12) return value;
+    if (value > 1e9) return value * 1000;
+    return Date.now() + value * 1000;
+  }
+
+  /**
+   * Returns how long to wait before retrying a rate limited request, in ms.
+   * @private
+   */
+  _parseRetryAfter(headers = {}, data = {}, bucket) {
+    const header = headers['retry-after'];
+
+    if (header !== undefined) {
+      const seconds = Number(header);
+      if (Number.isFinite(seconds)) return seconds * 1000 + this.offset;
+
+      const date = Date.parse(header);
+      if (!isNaN(date)) return Math.max(date - Date.now(), 0) + this.offset;
+    }
+
+    if (Number.isFinite(Number(data?.retryAfter))) {
+      return Number(data.retryAfter) * 1000 + this.offset;
+    }
+
+    return Math.max(bucket.resetAt - Date.now(), 1000);
+  }
+
+  /**
+   * @event Client#rateLimited
+   * @private
+   */
+  _emitRateLimited(config, bucket, timeout, isGlobal) {
+    this.client.emit('rateLimited', {
+      source: 'rest',
+      route: config.route,
+      method: (config.method || 'get').toUpperCase(),
+      limit: bucket.limit,
+      timeout,
+      resetAt: Date.now() + timeout,
+      global: isGlobal
+    });
+  }
+}
+
+module.exports = RequestManager;
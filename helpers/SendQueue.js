@@ -0,0 +1,175 @@
+const { sleep } = require('./index');
+
+/**
+ * @internal
+ * Sends outgoing gateway messages one at a time per channel, holding them while rate limited.
+ */
+class SendQueue {
+  /**
+   * Creates a new SendQueue.
+   * @param {Object} [options={}] - Queue options.
+   * @param {number} [options.retryLimit=3] - How many times a throttled message is sent again.
+   * @param {number} [options.retryDelay=1000] - Delay in ms used when the server gives no reset time.
+   */
+  constructor(options = {}) {
+    this.retryLimit = options.retryLimit ?? 3;
+    this.retryDelay = options.retryDelay ?? 1000;
+
+    /**
+     * Pending sends, keyed by channel ID.
+     * @type {Map<string, {items: Array<Object>, current: Object|null, running: boolean, resetAt: number}>}
+     */
+    this.queues = new Map();
+
+    /**
+     * Timestamp until which every channel is on hold.
+     * @type {number}
+     */
+    this.resetAt = 0;
+  }
+
+  /**
+   * Queues a send task for a channel.
+   * @param {string} channelId - The channel the message goes to.
+   * @param {function(): Promise<*>} task - Sends the message and resolves with the server ack.
+   * Rejecting with an error whose code is `RATE_LIMITED` makes the queue retry it.
+   * @returns {Promise<*>} Settles with the result of the task once the server accepted it.
+   */
+  push(channelId, task) {
+    return new Promise((resolve, reject) => {
+      const queue = this._getQueue(channelId);
+      queue.items.push({ task, resolve, reject, retries: 0, settled: false });
+      this._process(channelId);
+    });
+  }
+
+  /**
+   * Holds sends until the rate limit described by a `rate:limited` payload resets.
+   * @param {Object} [data={}] - The rate limit payload.
+   * @param {string|number} [data.channelId] - Only hold this channel.
+   * @param {string|number} [data.resetAt] - When the limit resets (ISO string or epoch ms).
+   * @param {number} [data.retryAfter] - How long until the limit resets, in ms.
+   * @returns {number} The timestamp the hold lasts until.
+   */
+  hold(data = {}) {
+    let resetAt = Date.now() + this.retryDelay;
+
+    if (data.resetAt !== undefined) {
+      const parsed = typeof data.resetAt === 'number' ? data.resetAt : Date.parse(data.resetAt);
+      if (!isNaN(parsed)) resetAt = parsed;
+    } else if (Number.isFinite(data.retryAfter)) {
+      resetAt = Date.now() + data.retryAfter;
+    }
+
+    this._prune();
+
+    if (data.channelId !== undefined && data.channelId !== null) {
+      const queue = this._getQueue(data.channelId);
+      queue.resetAt = Math.max(queue.resetAt, resetAt);
+    } else {
+      this.resetAt = Math.max(this.resetAt, resetAt);
+    }
+
+    return resetAt;
+  }
+
+  /**
+   * Rejects every pending send, including the one in flight, whose result is then ignored.
+   * @param {Error} error - The error pending sends are rejected with.
+   * @returns {void}
+   */
+  clear(error) {
+    for (const queue of this.queues.values()) {
+      const items = queue.items.splice(0);
+      if (queue.current) items.unshift(queue.current);
+
+      for (const item of items) {
+        item.settled = true;
+        item.reject(error);
+      }
+    }
+
+    this._prune();
+  }
+
+  /**
+   * Returns the queue of a channel, creating it when needed.
+   * @private
+   */
+  _getQueue(channelId) {
+    const key = String(channelId);
+    let queue = this.queues.get(key);
+    if (!queue) {
+      queue = { items: [], current: null, running: false, resetAt: 0 };
+      this.queues.set(key, queue);
+    }
+    return queue;
+  }
+
+  /**
+   * Removes the queues left by holds that are over and have nothing to send.
+   * @private
+   */
+  _prune() {
+    const now = Date.now();
+    for (const [key, queue] of this.queues) {
+      if (!queue.running && queue.items.length === 0 && queue.resetAt <= now) this.queues.delete(key);
+    }
+  }
+
+  /**
+   * Runs the tasks of a channel in order.
+   * @private
+   */
+  async _process(channelId) {
+    const key = String(channelId);
+    const queue = this._getQueue(key);
+    if (queue.running) return;
+    queue.running = true;
+
+    while (queue.items.length > 0) {
+      await this._waitForReset(queue);
+
+      // Taken out of the queue while it runs, so clear() cannot splice it from under us
+      const item = queue.items.shift();
+      if (!item) break;
+      queue.current = item;
+
+      try {
+        const result = await item.task();
+        if (!item.settled) item.resolve(result);
+      } catch (error) {
+        if (item.settled) continue;
+
+        if (error && error.code === 'RATE_LIMITED' && item.retries < this.retryLimit) {
+          item.retries++;
+          this.hold({ channelId: key, retryAfter: error.retryAfter ?? this.retryDelay });
+          queue.items.unshift(item);
+          continue;
+        }
+
+        item.reject(error);
+      } finally {
+        queue.current = null;
+      }
+    }
+
+    queue.running = false;
+    if (queue.resetAt <= Date.now()) this.queues.delete(key);
+  }
+
+  /**
+   * Waits until neither the channel nor the whole queue is on hold.
+   * @private
+   */
+  async _waitForReset(queue) {
+    let wait = Math.max(this.resetAt, queue.resetAt) - Date.now();
+
+    while (wait > 0) {
+      await sleep(wait);
+      wait = Math.max(this.resetAt, queue.resetAt) - Date.now();
+    }
+  }
+}
+
+module.exports = SendQueue;
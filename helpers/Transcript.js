@@ -0,0 +1,166 @@
+const { Readable } = require('stream');
+const { ValidationError } = require('./Errors');
+
+const FORMATS = ['json', 'ndjson', 'html', 'txt'];
+
+/**
+ * Converts an embed into a plain object, keeping only the fields that are set.
+ * Received embeds are not validated, so `toJSON()` is not used.
+ * @param {import('../structures/Util').MessageEmbed|Object} embed - The embed.
+ * @returns {Object}
+ */
+function embedRecord(embed) {
+  return Object.fromEntries(Object.entries(embed).filter(([, value]) => (
+    value !== null && value !== undefined && !(Array.isArray(value) && value.length === 0)
+  )));
+}
+
+/**
+ * Converts a message into a plain transcript record.
+ * @param {import('../structures/Message')} message - The message.
+ * @returns {Object}
+ */
+function toRecord(message) {
+  const author = message.author;
+  const sticker = message.sticker;
+
+  return {
+    id: message.id,
+    channelId: message.channel ? message.channel.id : null,
+    author: author ? {
+      id: author.id,
+      username: author.username,
+      displayName: author.displayName,
+      avatarUrl: author.avatarUrl,
+      isBot: Boolean(author.isBot),
+    } : null,
+    content: message.content || '',
+    messageType: message.messageType,
+    replyTo: message.replyTo ?? null,
+    createdAt: message.createdAt,
+    editedAt: message.editedAt ?? null,
+    attachments: message.attachments.map(a => ({ ...a })),
+    sticker: sticker ? { id: sticker.id, name: sticker.name, url: sticker.url } : null,
+    embeds: (message.embeds || []).map(embedRecord),
+  };
+}
+
+/**
+ * Escapes text for HTML output.
+ * @private
+ */
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Formats a record as a plain text block.
+ * @private
+ */
+function formatText(record) {
+  const name = record.author ? (record.author.displayName || record.author.username) : 'Unknown';
+  const lines = [`[${record.createdAt}] ${name}${record.editedAt ? ' (edited)' : ''}: ${record.content}`];
+
+  for (const attachment of record.attachments) {
+    lines.push(`  Attachment: ${attachment.name || 'file'} ${attachment.url}`);
+  }
+  if (record.sticker) {
+    lines.push(`  Sticker: ${record.sticker.name} ${record.sticker.url}`);
+  }
+  for (const embed of record.embeds) {
+    lines.push(`  Embed: ${[embed.title, embed.description].filter(Boolean).join(' - ')}`);
+    for (const field of embed.fields || []) {
+      lines.push(`    ${field.name}: ${field.value}`);
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Formats a record as an HTML block.
+ * @private
+ */
+function formatHtml(record) {
+  const name = record.author ? (record.author.displayName || record.author.username) : 'Unknown';
+  const parts = [
+    `<div class="message" id="m${escapeHtml(record.id)}">`,
+    `<span class="author">${escapeHtml(name)}</span> <time>${escapeHtml(record.createdAt)}</time>`,
+    `<div class="content">${escapeHtml(record.content).replace(/\n/g, '<br>')}</div>`,
+  ];
+
+  for (const attachment of record.attachments) {
+    parts.push(`<a class="attachment" href="${escapeHtml(attachment.url)}">${escapeHtml(attachment.name || attachment.url)}</a>`);
+  }
+  if (record.sticker) {
+    parts.push(`<img class="sticker" src="${escapeHtml(record.sticker.url)}" alt="${escapeHtml(record.sticker.name)}">`);
+  }
+  for (const embed of record.embeds) {
+    const fields = (embed.fields || [])
+      .map(f => `<div class="field"><b>${escapeHtml(f.name)}</b> ${escapeHtml(f.value)}</div>`)
+      .join('');
+    parts.push(`<div class="embed" style="border-color:${escapeHtml(embed.color || '#5865F2')}"><b>${escapeHtml(embed.title)}</b><p>${escapeHtml(embed.description)}</p>${fields}</div>`);
+  }
+
+  parts.push('</div>');
+  return parts.join('\n') + '\n';
+}
+
+/**
+ * Streams messages as a transcript.
+ * @param {AsyncIterable<import('../structures/Message')>} messages - Messages in the order they should appear.
+ * @param {Object} [options={}] - Transcript options.
+ * @param {'json'|'ndjson'|'html'|'txt'} [options.format='json'] - Output format.
+ * @param {string} [options.title] - Title used by the HTML format.
+ * @param {function(import('../structures/Message')): Promise<void>} [options.resolve] - Hydrates a message before it is written.
+ * @returns {Readable} A stream of transcript text.
+ */
+function createTranscript(messages, options = {}) {
+  const format = options.format || 'json';
+  if (!FORMATS.includes(format)) {
+    throw new ValidationError(`Invalid transcript format. Valid formats are: ${FORMATS.join(', ')}`, 'INVALID_FORMAT');
+  }
+
+  async function* generate() {
+    let first = true;
+
+    if (format === 'json') yield '[\n';
+    if (format === 'html') {
+      yield `<!DOCTYPE html>\n<html>\n<head><meta charset="utf-8"><title>${escapeHtml(options.title || 'Transcript')}</title></head>\n<body>\n`;
+    }
+
+    for await (const message of messages) {
+      if (options.resolve) await options.resolve(message);
+      const record = toRecord(message);
+
+      switch (format) {
+        case 'json':
+          yield `${first ? '' : ',\n'}${JSON.stringify(record)}`;
+          break;
+        case 'ndjson':
+          yield `${JSON.stringify(record)}\n`;
+          break;
+        case 'html':
+          yield formatHtml(record);
+          break;
+        case 'txt':
+          yield formatText(record);
+          break;
+      }
+
+      first = false;
+    }
+
+    if (format === 'json') yield '\n]\n';
+    if (format === 'html') yield '</body>\n</html>\n';
+  }
+
+  return Readable.from(generate(), { objectMode: false });
+}
+
+module.exports = { createTranscript, toRecord, FORMATS };
@@ -1,8 +1,182 @@
-function formatUrl(url) {
-    const base = 'https://api.beniocord.site';
+const { randomUUID } = require('crypto');
+const { ValidationError } = require('./Errors');
+
+const DEFAULT_API_URL = 'https://api-bots.beniocord.site';
+const DEFAULT_CDN_URL = 'https://api.beniocord.site';
+const MAX_MESSAGE_LENGTH = 2000;
+
+const CODE_FENCE = /```(\S*)/g;
+
+/**
+ * Resolves a relative asset path against a CDN base URL.
+ * @param {string} url - Absolute URL or path returned by the API.
+ * @param {string} [base=DEFAULT_CDN_URL] - Base URL used for relative paths.
+ * @returns {string|null} The absolute URL, or null when no URL is given.
+ */
+function formatUrl(url, base = DEFAULT_CDN_URL) {
     if (!url) return null;
     if (url.startsWith(base) || url.startsWith('http')) return url;
-    return base + (url.startsWith('/') ? url : '/' + url);
+    return base.replace(/\/+$/, '') + (url.startsWith('/') ? url : '/' + url);
+}
+
+/**
+ * Waits for the given amount of milliseconds.
+ * @param {number} ms - Time to wait in ms.
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Computes an exponential backoff delay with jitter.
+ * @param {number} attempt - The attempt number, starting at 1.
+ * @param {Object} strategy - The backoff strategy.
+ * @param {number} strategy.baseDelay - Delay of the first attempt in ms.
+ * @param {number} strategy.maxDelay - Upper bound for the delay in ms.
+ * @param {number} [strategy.factor=2] - Growth factor per attempt.
+ * @param {number} [strategy.jitter=0] - Random share (0 to 1) taken off the delay.
+ * @returns {number} The delay in ms.
+ */
+function computeBackoff(attempt, { baseDelay, maxDelay, factor = 2, jitter = 0 }) {
+    const delay = Math.min(maxDelay, baseDelay * Math.pow(factor, attempt - 1));
+    return Math.round(delay * (1 - jitter * Math.random()));
+}
+
+/**
+ * Generates a nonce that identifies an outgoing message across retries.
+ * @returns {string} A random UUID.
+ */
+function generateNonce() {
+    return randomUUID();
+}
+
+/**
+ * Compares two numeric IDs as strings, since IDs past 2^53 lose precision as numbers.
+ * @param {string|number} a - The first ID.
+ * @param {string|number} b - The second ID.
+ * @returns {number} Negative when `a` is the older ID, positive when it is the newer one, 0 when equal.
+ */
+function compareIds(a, b) {
+    const left = String(a);
+    const right = String(b);
+    if (left.length !== right.length) return left.length - right.length;
+    return left < right ? -1 : left > right ? 1 : 0;
+}
+
+/**
+ * Creates a snapshot of a structure, e.g. to keep its state before an update: a new object of the same class
+ * with the same own properties, where the mutable nested fields are replaced by copies.
+ * @param {Object} source - The structure.
+ * @param {Object<string, function(*, Object): *>} [copies={}] - How to copy each nested field, called with
+ * the field value and the snapshot.
+ * @returns {Object} The snapshot.
+ */
+function cloneStructure(source, copies = {}) {
+    const clone = Object.create(Object.getPrototypeOf(source), Object.getOwnPropertyDescriptors(source));
+
+    for (const [key, copy] of Object.entries(copies)) {
+        if (source[key] !== null && source[key] !== undefined) clone[key] = copy(source[key], clone);
+    }
+
+    return clone;
 }
 
-module.exports = { formatUrl }
\ No newline at end of file
+/**
+ * Finds where to cut text so the first piece fits, preferring the last separator.
+ * @param {string} text - The text to cut.
+ * @param {number} limit - Maximum length of the first piece.
+ * @param {Array<string|RegExp>} chars - Separators, tried in order.
+ * @returns {{index: number, length: number}} Where the cut starts and how many separator characters it drops.
+ */
+function findSplitPoint(text, limit, chars) {
+    for (const char of chars) {
+        if (char instanceof RegExp) {
+            const pattern = new RegExp(char.source, char.flags.includes('g') ? char.flags : char.flags + 'g');
+            let best = null;
+            for (const match of text.matchAll(pattern)) {
+                if (match.index > limit) break;
+                if (match.index > 0 && match[0].length > 0) best = { index: match.index, length: match[0].length };
+            }
+            if (best) return best;
+        } else if (char) {
+            const index = text.lastIndexOf(char, limit);
+            if (index > 0) return { index, length: char.length };
+        }
+    }
+
+    return { index: limit, length: 0 };
+}
+
+/**
+ * Splits text into several messages, on newlines or spaces by default, keeping code blocks balanced:
+ * a code block cut in two is closed at the end of one message and reopened, with its language, in the next.
+ * @param {string} text - The text to split.
+ * @param {Object} [options={}] - Split options.
+ * @param {number} [options.maxLength=2000] - Maximum length of each message.
+ * @param {string|RegExp|Array<string|RegExp>} [options.char=['\n', ' ']] - Separators to split on, tried in order.
+ * @param {string} [options.prepend=''] - Text added to the start of every message but the first.
+ * @param {string} [options.append=''] - Text added to the end of every message but the last.
+ * @returns {string[]} The messages, in order.
+ * @throws {ValidationError} When `maxLength` leaves no room for content.
+ * @example
+ * splitMessage(log, { maxLength: 1900, prepend: '(cont.) ' });
+ */
+function splitMessage(text, { maxLength = MAX_MESSAGE_LENGTH, char = ['\n', ' '], prepend = '', append = '' } = {}) {
+    if (text.length <= maxLength) return [text];
+
+    const chars = [].concat(char);
+    const hasFences = text.includes('```');
+    const messages = [];
+    let rest = text;
+    let fence = null;
+
+    while (rest.length > 0) {
+        // A block whose closing fence starts the next message was already closed by the last one
+        const closing = fence !== null && rest.match(/^```[ \t]*(?:\n|$)/);
+        if (closing) {
+            rest = rest.slice(closing[0].length);
+            fence = null;
+            if (rest.length === 0) break;
+        }
+
+        // Fences must start their own line, so they go on a line apart from prepend and append
+        let head = messages.length > 0 ? prepend : '';
+        if (fence !== null) head += (head ? '\n' : '') + '```' + fence + '\n';
+        const reserved = hasFences ? 5 : 0;
+        const limit = maxLength - head.length - append.length - reserved;
+
+        if (limit <= 0) {
+            throw new ValidationError(`Cannot split message with maxLength ${maxLength}`, 'INVALID_SPLIT');
+        }
+
+        const isLast = head.length + rest.length + reserved <= maxLength;
+        const cut = isLast ? { index: rest.length, length: 0 } : findSplitPoint(rest, limit, chars);
+        const piece = rest.slice(0, cut.index);
+        rest = rest.slice(cut.index + cut.length);
+
+        for (const match of piece.matchAll(CODE_FENCE)) {
+            fence = fence === null ? match[1] : null;
+        }
+
+        const close = fence !== null && rest.length > 0 ? '\n```' + (append ? '\n' : '') : '';
+        const body = head + piece + close;
+        if (piece.trim() === '' && rest.length > 0) continue;
+        messages.push(rest.length > 0 ? body + append : body);
+    }
+
+    return messages;
+}
+
+module.exports = {
+    formatUrl,
+    sleep,
+    computeBackoff,
+    splitMessage,
+    generateNonce,
+    compareIds,
+    cloneStructure,
+    DEFAULT_API_URL,
+    DEFAULT_CDN_URL,
+    MAX_MESSAGE_LENGTH
+}
@@ -0,0 +1,990 @@
+import { EventEmitter } from 'events';
+import { Readable } from 'stream';
+import { Collection } from '@discordjs/collection';
+import { Socket } from 'socket.io-client';
+import { AxiosInstance } from 'axios';
+
+declare class Client extends EventEmitter {
+  constructor(options: Client.ClientOptions);
+
+  public readonly token: string;
+  public apiUrl: string;
+  public cdnUrl: string;
+  public socket: Socket | null;
+  public user: Client.User | null;
+  public isConnected: boolean;
+  public isReady: boolean;
+  public status: Client.UserStatus;
+  public version: string;
+  public config: Client.ResolvedClientOptions;
+  public retryCount: number;
+  public caches: Client.CacheManager;
+  public cache: Client.ClientCache;
+  public sendQueue: Client.SendQueue;
+  public rest: Client.RequestManager;
+  public gateway: Client.GatewayRequestManager;
+  public pipeline: Client.DispatchPipeline;
+  public users: Client.UserManager;
+  public channels: Client.ChannelManager;
+  public emojis: Client.EmojiManager;
+  public stickers: Client.StickerManager;
+  public readonly commands: Client.CommandHandler;
+
+  public validateToken(): Promise<any>;
+  public login(): Promise<Client.User>;
+  public ready(): boolean;
+  public disconnect(): void;
+
+  public setStatus(status: Client.UserStatus): Promise<Client.UserStatusUpdateData>;
+  public fetchMe(force?: boolean): Promise<Client.User>;
+  public fetchUser(id: Client.Snowflake, force?: boolean): Promise<Client.User>;
+
+  public fetchChannels(): Promise<Client.Channel[]>;
+  public fetchChannel(id: Client.Snowflake, force?: boolean): Promise<Client.Channel>;
+  public createChannel(options: { name: string; description?: string }): Promise<Client.Channel>;
+  public updateChannel(channelId: Client.Snowflake, options: { name?: string; description?: string }): Promise<Client.Channel>;
+  public deleteChannel(channelId: Client.Snowflake): Promise<any>;
+
+  public fetchChannelMembers(channelId: Client.Snowflake): Promise<Client.ChannelMember[]>;
+  public addChannelMember(channelId: Client.Snowflake, userId: Client.Snowflake, role?: Client.MemberRole): Promise<any>;
+  public updateChannelMember(channelId: Client.Snowflake, userId: Client.Snowflake, data: { role?: Client.MemberRole }): Promise<any>;
+  public removeChannelMember(channelId: Client.Snowflake, userId: Client.Snowflake): Promise<any>;
+
+  public sendMessage(
+    channelId: Client.Snowflake,
+    content: Client.MessageContent,
+    opts: Client.SplitMessageOptions,
+  ): Promise<Client.Message[]>;
+  public sendMessage(channelId: Client.Snowflake, options: Client.SplitMessageOptions): Promise<Client.Message[]>;
+  public sendMessage(
+    channelId: Client.Snowflake,
+    content: Client.MessageContent,
+    opts?: Client.MessageOptions | Client.MessageAttachment,
+  ): Promise<Client.Message>;
+  public editMessage(messageId: Client.Snowflake, newContent: Client.MessageEditContent): Promise<Client.Message>;
+  public deleteMessage(messageId: Client.Snowflake): Promise<any>;
+  public fetchChannelMessages(channelId: Client.Snowflake, options?: Client.FetchMessagesOptions): Promise<Client.Message[]>;
+  public fetchMessageHistory(channelId: Client.Snowflake, options?: Client.MessageHistoryOptions): AsyncGenerator<Client.Message>;
+  public fetchMessage(channelId: Client.Snowflake, messageId: Client.Snowflake): Promise<Client.Message>;
+
+  public startTyping(channelId: Client.Snowflake): void;
+  public stopTyping(channelId: Client.Snowflake): void;
+
+  public fetchEmoji(id: Client.Snowflake, force?: boolean): Promise<Client.Emoji>;
+  public fetchAllEmojis(options?: { search?: string }): Promise<Client.Emoji[]>;
+  public fetchSticker(id: Client.Snowflake, force?: boolean): Promise<Client.Sticker>;
+  public fetchAllStickers(options?: { search?: string }): Promise<Client.Sticker[]>;
+
+  public uploadFile(file: Client.MessageAttachment): Promise<Client.UploadedFile>;
+
+  public clearCache(): void;
+  public sweepCache(): number;
+
+  public on<K extends keyof Client.ClientEvents>(event: K, listener: (...args: Client.ClientEvents[K]) => void): this;
+  public on<S extends string | symbol>(
+    event: Exclude<S, keyof Client.ClientEvents>,
+    listener: (...args: any[]) => void,
+  ): this;
+
+  public once<K extends keyof Client.ClientEvents>(event: K, listener: (...args: Client.ClientEvents[K]) => void): this;
+  public once<S extends string | symbol>(
+    event: Exclude<S, keyof Client.ClientEvents>,
+    listener: (...args: any[]) => void,
+  ): this;
+
+  public off<K extends keyof Client.ClientEvents>(event: K, listener: (...args: Client.ClientEvents[K]) => void): this;
+  public off<S extends string | symbol>(
+    event: Exclude<S, keyof Client.ClientEvents>,
+    listener: (...args: any[]) => void,
+  ): this;
+
+  public emit<K extends keyof Client.ClientEvents>(event: K, ...args: Client.ClientEvents[K]): boolean;
+  public emit<S extends string | symbol>(event: Exclude<S, keyof Client.ClientEvents>, ...args: unknown[]): boolean;
+}
+
+declare namespace Client {
+  type Snowflake = string | number;
+  type Awaitable<T> = T | Promise<T>;
+
+  // ============================================================================
+  // OPTIONS
+  // ============================================================================
+
+  type UserStatus = 'online' | 'offline' | 'away' | 'dnd';
+  type MemberRole = 'owner' | 'admin' | 'moderator' | 'member' | (string & {});
+  type MessageType = 'text' | 'image' | 'video' | 'file' | 'embed' | 'sticker' | (string & {});
+
+  interface ReconnectOptions {
+    maxAttempts?: number;
+    baseDelay?: number;
+    maxDelay?: number;
+    factor?: number;
+    jitter?: number;
+  }
+
+  interface ClientOptions {
+    token: string;
+    apiUrl?: string;
+    cdnUrl?: string;
+    connectionTimeout?: number;
+    requestTimeout?: number;
+    ackTimeout?: number;
+    retryOnReconnect?: boolean;
+    ignoreSelf?: boolean;
+    ignoreBots?: boolean;
+    hydrateMembers?: boolean;
+    /** How long 404 answers for an ID are remembered, in ms. 0, the default, turns it off. */
+    notFoundTTL?: number;
+    dispatch?: DispatchOptions;
+    maxRetries?: number;
+    reconnectionDelay?: number;
+    reconnect?: ReconnectOptions | false;
+    retryLimit?: number;
+    resumeLimit?: number;
+    maxMessageLength?: number;
+    commands?: CommandHandlerOptions;
+    cache?: CacheManagerOptions;
+  }
+
+  interface ResolvedClientOptions extends Omit<ClientOptions, 'token' | 'apiUrl' | 'cdnUrl' | 'reconnect'> {
+    connectionTimeout: number;
+    requestTimeout: number;
+    ackTimeout: number;
+    retryOnReconnect: boolean;
+    ignoreSelf: boolean;
+    ignoreBots: boolean;
+    hydrateMembers: boolean;
+    notFoundTTL: number;
+    maxRetries: number;
+    reconnectionDelay: number;
+    retryLimit: number;
+    resumeLimit: number;
+    maxMessageLength: number;
+    reconnect: Required<ReconnectOptions> | false;
+  }
+
+  interface FileOptions {
+    attachment: Buffer | string;
+    name?: string;
+  }
+
+  interface MessageOptions {
+    content?: string;
+    replyTo?: Snowflake | { id: Snowflake } | null;
+    file?: Buffer | string | MessageAttachment;
+    files?: Array<MessageAttachment | FileOptions>;
+    fileName?: string;
+    fileUrl?: string;
+    fileSize?: number;
+    messageType?: MessageType;
+    sticker?: Snowflake | { id: Snowflake };
+    stickerId?: Snowflake;
+    embed?: MessageEmbed | EmbedData;
+    embeds?: Array<MessageEmbed | EmbedData>;
+    split?: boolean | SplitOptions;
+  }
+
+  type MessageContent = string | MessageEmbed | MessageAttachment | MessagePayload | MessageOptions;
+  type MessageEditContent = string | MessagePayload | { content: string };
+
+  interface MessagePayloadOptions {
+    content: string | null;
+    embeds: Array<MessageEmbed | EmbedData>;
+    files: Array<MessageAttachment | FileOptions>;
+    uploaded: { url: string; name: string | null; size: number | null } | null;
+    stickerId: Snowflake | null;
+    replyTo: Snowflake | null;
+    messageType: MessageType | null;
+    split: boolean | SplitOptions;
+  }
+
+  interface MessagePayloadBody {
+    content: string;
+    messageType: MessageType;
+    replyTo: Snowflake | null;
+    fileUrl: string | null;
+    fileName: string | null;
+    fileSize: number | null;
+    stickerId: Snowflake | null;
+    embedData: EmbedData | null;
+  }
+
+  class MessagePayload {
+    constructor(options?: Partial<MessagePayloadOptions>);
+    public static create(content: MessageContent, options?: MessageOptions | MessageAttachment): MessagePayload;
+    public options: MessagePayloadOptions;
+    public readonly isEmpty: boolean;
+    public validate(options?: { maxLength?: number; edit?: boolean }): this;
+    public split(maxLength?: number): MessagePayload[];
+    public resolveBody(client: Client): Promise<MessagePayloadBody>;
+  }
+
+  interface SplitOptions {
+    maxLength?: number;
+    char?: string | RegExp | Array<string | RegExp>;
+    prepend?: string;
+    append?: string;
+  }
+
+  type SplitMessageOptions = MessageOptions & { split: true | SplitOptions };
+
+  function splitMessage(text: string, options?: SplitOptions): string[];
+
+  interface FetchMessagesOptions {
+    limit?: number;
+    before?: Snowflake;
+  }
+
+  interface MessageHistoryOptions {
+    before?: Snowflake;
+    after?: Snowflake;
+    around?: Snowflake;
+    limit?: number;
+    since?: Date | string | number;
+    until?: Date | string | number;
+  }
+
+  interface UploadedFile {
+    url: string;
+    originalName: string;
+    size: number;
+    [key: string]: any;
+  }
+
+  // ============================================================================
+  // EVENTS
+  // ============================================================================
+
+  interface MessageDeleteData {
+    messageId: Snowflake;
+    channelId?: Snowflake;
+    [key: string]: any;
+  }
+
+  interface TypingData {
+    channelId: Snowflake;
+    userId: Snowflake;
+    username?: string;
+    [key: string]: any;
+  }
+
+  interface UserStatusUpdateData {
+    userId: Snowflake;
+    status: UserStatus;
+    lastSeen?: string;
+  }
+
+  interface MemberJoinData {
+    channel: Channel;
+    member: ChannelMember;
+  }
+
+  interface MemberLeaveData {
+    channel: Channel;
+    member: ChannelMember;
+  }
+
+  interface MemberUpdateData {
+    channel: Channel;
+    member: ChannelMember;
+    oldRole: MemberRole | null;
+  }
+
+  interface RawPacket {
+    event: string;
+    data: any;
+  }
+
+  /** Emitted when a REST route is rate limited. */
+  interface RestRateLimitData {
+    source: 'rest';
+    route: string;
+    method: string;
+    limit: number | null;
+    timeout: number;
+    resetAt: number;
+    global: boolean;
+  }
+
+  /** Emitted when the gateway reports a rate limit. */
+  interface GatewayRateLimitData {
+    source: 'gateway';
+    channelId?: Snowflake;
+    retryAfter?: number;
+    resetAt?: string | number;
+    [key: string]: any;
+  }
+
+  type RateLimitData = RestRateLimitData | GatewayRateLimitData;
+
+  interface ReconnectingData {
+    attempt: number;
+    delay: number | null;
+    type: 'socket' | 'login';
+  }
+
+  interface ResumedData {
+    channels: number;
+    replayed: number;
+  }
+
+  /** Listener arguments of every Client event. */
+  interface ClientEvents {
+    ready: [user: User];
+    messageCreate: [message: Message];
+    messageEdit: [message: Message, oldMessage: Message | null];
+    messageDelete: [data: MessageDeleteData, message: Message | null];
+    typingStart: [data: TypingData];
+    typingStop: [data: TypingData];
+    userStatusUpdate: [data: UserStatusUpdateData];
+    memberJoin: [data: MemberJoinData];
+    memberLeave: [data: MemberLeaveData];
+    memberUpdate: [data: MemberUpdateData];
+    channelCreate: [channel: Channel];
+    channelUpdate: [channel: Channel, oldChannel: Channel | null];
+    channelDelete: [channel: Channel];
+    emojiCreate: [emoji: Emoji];
+    emojiDelete: [emoji: Emoji];
+    stickerCreate: [sticker: Sticker];
+    stickerDelete: [sticker: Sticker];
+    rateLimited: [data: RateLimitData];
+    raw: [packet: RawPacket];
+    error: [error: Error];
+    disconnect: [reason: string];
+    reconnect: [attempt: number];
+    reconnecting: [data: ReconnectingData];
+    invalidated: [error: ClientError];
+    resumed: [data: ResumedData];
+  }
+
+  // ============================================================================
+  // STRUCTURES
+  // ============================================================================
+
+  class User {
+    constructor(data: any, client?: Client);
+    public readonly client: Client;
+    public id: Snowflake;
+    public username: string;
+    public displayName: string;
+    public avatarUrl: string | null;
+    public status: UserStatus;
+    public emblems: any[];
+    public isBot: boolean;
+    public lastSeen: string;
+    public createdAt: string;
+    public avatarURL(): string | null;
+    public toString(): string;
+    public fetch(force?: boolean): Promise<this>;
+  }
+
+  class ChannelMember {
+    constructor(data: any, channel: Channel);
+    public readonly client: Client;
+    public readonly channel: Channel;
+    public user: User;
+    public id: Snowflake;
+    public role: MemberRole;
+    public joinedAt: string | null;
+    public readonly username: string;
+    public readonly displayName: string;
+    public readonly avatarUrl: string | null;
+    public readonly status: UserStatus;
+    public readonly isBot: boolean;
+    public readonly isOwner: boolean;
+    public readonly isAdmin: boolean;
+    public readonly permissions: Permissions;
+    public avatarURL(): string | null;
+    public toString(): string;
+    public setRole(role: MemberRole): Promise<this>;
+    public kick(): Promise<this>;
+  }
+
+  type PermissionString =
+    | 'SEND_MESSAGES'
+    | 'ADD_MEMBERS'
+    | 'KICK_MEMBERS'
+    | 'DELETE_MESSAGES'
+    | 'MANAGE_MEMBERS'
+    | 'MANAGE_CHANNEL'
+    | 'DELETE_CHANNEL';
+
+  class Permissions {
+    constructor(role: MemberRole | null);
+    public static readonly ROLES: readonly MemberRole[];
+    public static readonly FLAGS: Readonly<Record<PermissionString, MemberRole>>;
+    public static rank(role: MemberRole | null): number;
+    public static compareRoles(a: MemberRole | null, b: MemberRole | null): number;
+    public role: MemberRole | null;
+    public has(permission: PermissionString | PermissionString[]): boolean;
+    public missing(permissions: PermissionString | PermissionString[]): PermissionString[];
+    public assert(
+      permissions: PermissionString | PermissionString[],
+      message?: string | ((missing: PermissionString[]) => string),
+    ): this;
+    public toArray(): PermissionString[];
+  }
+
+  type ChannelMessageCollection = Collection<Snowflake, Message> & {
+    fetch(id: Snowflake): Promise<Message | null>;
+    fetchHistory(options?: MessageHistoryOptions): AsyncGenerator<Message>;
+  };
+
+  type TranscriptFormat = 'json' | 'ndjson' | 'html' | 'txt';
+
+  interface ChannelExportOptions {
+    format?: TranscriptFormat;
+    limit?: number;
+    since?: Date | string | number;
+    until?: Date | string | number;
+  }
+
+  class Channel {
+    constructor(data: any, client?: Client);
+    public readonly client: Client;
+    public id: Snowflake;
+    public name: string;
+    public description: string;
+    public type: string;
+    public iconUrl: string | null;
+    public ownerId: Snowflake;
+    public isPrivate: boolean;
+    public isLocked: boolean;
+    public memberCount: number;
+    public createdAt: string;
+    public updatedAt: string;
+    public members: ChannelMemberManager;
+    public messages: ChannelMessageCollection;
+    public permissionsFor(user: Snowflake | { id: Snowflake }): Permissions;
+    public fetchPermissionsFor(user: Snowflake | { id: Snowflake }): Promise<Permissions>;
+    public toString(): string;
+    public send(content: MessageContent, opts: SplitMessageOptions): Promise<Message[]>;
+    public send(options: SplitMessageOptions): Promise<Message[]>;
+    public send(content: MessageContent, opts?: MessageOptions | MessageAttachment): Promise<Message>;
+    public startTyping(): void;
+    public stopTyping(): void;
+    public export(options?: ChannelExportOptions): Readable;
+    public createMessageCollector(options?: MessageCollectorOptions): MessageCollector;
+  }
+
+  class Attachment {
+    constructor(data: any, client?: Client);
+    public static guessContentType(name: string | null): string | null;
+    public id: Snowflake | null;
+    public url: string;
+    public name: string | null;
+    public size: number | null;
+    public contentType: string | null;
+    public width: number | null;
+    public height: number | null;
+    public readonly isImage: boolean;
+    public readonly isVideo: boolean;
+  }
+
+  class Message {
+    constructor(data: any, client?: Client);
+    public readonly client: Client;
+    public id: Snowflake;
+    public content: string;
+    public messageType: MessageType;
+    public fileUrl: string | null;
+    public fileName: string | null;
+    public fileSize: number | null;
+    public attachments: Attachment[];
+    public replyTo: Snowflake | null;
+    public editedAt: string | null;
+    public createdAt: string;
+    public nonce: string | null;
+    public embeds: MessageEmbed[];
+    public stickerId: Snowflake | null;
+    public sticker: Sticker | null;
+    public author: User | null;
+    public channel: Channel | null;
+    public mentions: MessageMentions;
+    public readonly cleanContent: string;
+    public reply(content: MessageContent, opts: SplitMessageOptions): Promise<Message[]>;
+    public reply(options: SplitMessageOptions): Promise<Message[]>;
+    public reply(content: MessageContent, opts?: MessageOptions | MessageAttachment): Promise<Message>;
+    public edit(content: MessageEditContent): Promise<Message>;
+    public delete(): Promise<any>;
+  }
+
+  class Emoji {
+    constructor(data: any, client?: Client);
+    public id: Snowflake;
+    public userId: Snowflake;
+    public name: string;
+    public url: string;
+    public createdAt: string;
+    public toString(): string;
+  }
+
+  class MessageMentions {
+    constructor(message: Message);
+    public static readonly PATTERNS: { USERS: RegExp; CHANNELS: RegExp; EMOJIS: RegExp };
+    public readonly message: Message;
+    public readonly client: Client;
+    public userIds: string[];
+    public channelIds: string[];
+    public emojiIds: string[];
+    public users: Collection<Snowflake, User>;
+    public channels: Collection<Snowflake, Channel>;
+    public emojis: Collection<Snowflake, Emoji>;
+    public has(target: Snowflake | { id: Snowflake }): boolean;
+    public fetch(): Promise<this>;
+  }
+
+  const Formatters: {
+    userMention(user: Snowflake | { id: Snowflake }): string;
+    channelMention(channel: Snowflake | { id: Snowflake }): string;
+    formatEmoji(emoji: Snowflake | { id: Snowflake; name: string }, name?: string): string;
+  };
+
+  class Sticker {
+    constructor(data: any, client?: Client);
+    public id: Snowflake;
+    public userId: Snowflake;
+    public name: string;
+    public tags: string[];
+    public url: string;
+    public createdAt: string;
+    public updatedAt: string;
+  }
+
+  interface MessageCollectorOptions {
+    filter?: (message: Message) => Awaitable<boolean>;
+    time?: number;
+    max?: number;
+  }
+
+  interface MessageCollectorEvents {
+    collect: [message: Message];
+    end: [collected: Message[], reason: string];
+    error: [error: Error];
+  }
+
+  class MessageCollector extends EventEmitter {
+    constructor(channel: Channel, options: MessageCollectorOptions | undefined, client: Client);
+    public channel: Channel;
+    public client: Client;
+    public filter: (message: Message) => Awaitable<boolean>;
+    public time: number;
+    public max: number;
+    public collected: Message[];
+    public ended: boolean;
+    public stop(reason?: string): void;
+    public resetTimer(options?: { time?: number }): void;
+
+    public on<K extends keyof MessageCollectorEvents>(event: K, listener: (...args: MessageCollectorEvents[K]) => void): this;
+    public once<K extends keyof MessageCollectorEvents>(event: K, listener: (...args: MessageCollectorEvents[K]) => void): this;
+    public emit<K extends keyof MessageCollectorEvents>(event: K, ...args: MessageCollectorEvents[K]): boolean;
+  }
+
+  interface EmbedAuthor {
+    name: string;
+    iconUrl?: string | null;
+    url?: string | null;
+  }
+
+  interface EmbedField {
+    name: string;
+    value: string;
+    inline?: boolean;
+  }
+
+  interface EmbedFooter {
+    text: string;
+    iconUrl?: string | null;
+  }
+
+  interface EmbedData {
+    color?: string;
+    author?: EmbedAuthor;
+    title?: string;
+    url?: string;
+    description?: string;
+    fields?: EmbedField[];
+    thumbnail?: string;
+    image?: string;
+    footer?: EmbedFooter;
+    timestamp?: string;
+  }
+
+  class MessageEmbed {
+    static LIMITS: {
+      TITLE: number;
+      DESCRIPTION: number;
+      FIELD_NAME: number;
+      FIELD_VALUE: number;
+      FIELDS_COUNT: number;
+      FOOTER_TEXT: number;
+      AUTHOR_NAME: number;
+      URL_MAX: number;
+    };
+    static URL_REGEX: RegExp;
+    static COLOR_REGEX: RegExp;
+
+    constructor(data?: Partial<Omit<EmbedData, 'timestamp'>> & { timestamp?: Date | number | string });
+    public color: string | null;
+    public author: EmbedAuthor | null;
+    public title: string | null;
+    public url: string | null;
+    public description: string | null;
+    public fields: EmbedField[];
+    public thumbnail: string | null;
+    public image: string | null;
+    public footer: EmbedFooter | null;
+    public timestamp: string | null;
+
+    public setColor(color: string | number): this;
+    public setAuthor(name: string, iconUrl?: string | null, url?: string | null): this;
+    public setTitle(title: string): this;
+    public setURL(url: string): this;
+    public setDescription(description: string): this;
+    public addField(name: string, value: string, inline?: boolean): this;
+    public addFields(...fields: EmbedField[]): this;
+    public setThumbnail(url: string): this;
+    public setImage(url: string): this;
+    public setFooter(text: string, iconUrl?: string | null): this;
+    public setTimestamp(timestamp?: Date | number | string | null): this;
+    public static fromJSON(data: EmbedData | MessageEmbed | string): MessageEmbed;
+    public toJSON(): EmbedData;
+    public toText(): string;
+    public validate(): true;
+  }
+
+  class MessageAttachment {
+    constructor(buffer: Buffer | Uint8Array | string, name: string);
+    public buffer: Buffer | Uint8Array | string;
+    public name: string;
+  }
+
+  // ============================================================================
+  // MANAGERS
+  // ============================================================================
+
+  interface FetchOptions {
+    force?: boolean;
+    cache?: boolean;
+  }
+
+  abstract class BaseManager<Holds extends { id: Snowflake }> {
+    protected constructor(client: Client, holds: new (...args: any[]) => Holds, cacheType: string);
+    public readonly client: Client;
+    public readonly holds: new (...args: any[]) => Holds;
+    public cacheType: string;
+    public readonly cache: CacheStore<Snowflake, Holds>;
+    public resolve(idOrInstance: Snowflake | Holds | { id: Snowflake }): Holds | null;
+    public fetchMany(ids: Iterable<Snowflake | Holds | { id: Snowflake }>, options?: FetchOptions): Promise<Collection<Snowflake, Holds>>;
+    public resolveId(idOrInstance: Snowflake | Holds | { id: Snowflake }): Snowflake | null;
+  }
+
+  class UserManager extends BaseManager<User> {
+    constructor(client: Client);
+    public fetch(user: Snowflake | User, options?: FetchOptions): Promise<User>;
+    public fetchMe(options?: { force?: boolean }): Promise<User>;
+  }
+
+  class ChannelManager extends BaseManager<Channel> {
+    constructor(client: Client);
+    public fetch(channel: Snowflake | Channel, options?: FetchOptions): Promise<Channel>;
+    public fetchAll(options?: { cache?: boolean }): Promise<Channel[]>;
+    public create(options: { name: string; description?: string }): Promise<Channel>;
+    public edit(channel: Snowflake | Channel, options: { name?: string; description?: string }): Promise<Channel>;
+    public delete(channel: Snowflake | Channel): Promise<any>;
+    public fetchMembers(channel: Snowflake | Channel): Promise<ChannelMember[]>;
+    public addMember(channel: Snowflake | Channel, user: Snowflake | User, role?: MemberRole): Promise<any>;
+    public editMember(channel: Snowflake | Channel, user: Snowflake | User, data: { role?: MemberRole }): Promise<any>;
+    public removeMember(channel: Snowflake | Channel, user: Snowflake | User): Promise<any>;
+  }
+
+  class EmojiManager extends BaseManager<Emoji> {
+    constructor(client: Client);
+    public fetch(emoji: Snowflake | Emoji, options?: FetchOptions): Promise<Emoji>;
+    public fetchAll(options?: { search?: string; cache?: boolean }): Promise<Emoji[]>;
+  }
+
+  class StickerManager extends BaseManager<Sticker> {
+    constructor(client: Client);
+    public fetch(sticker: Snowflake | Sticker, options?: FetchOptions): Promise<Sticker>;
+    public fetchAll(options?: { search?: string; cache?: boolean }): Promise<Sticker[]>;
+  }
+
+  class ChannelMemberManager extends Collection<Snowflake, ChannelMember> {
+    constructor(channel: Channel);
+    public readonly channel: Channel;
+    public readonly client: Client;
+    public readonly cache: this;
+    public readonly fetched: boolean;
+    public resolve(member: Snowflake | { id: Snowflake }): ChannelMember | null;
+    public resolveId(member: Snowflake | { id: Snowflake }): Snowflake | null;
+    public fetch(member?: undefined, options?: { force?: boolean }): Promise<this>;
+    public fetch(member: Snowflake | { id: Snowflake }, options?: { force?: boolean }): Promise<ChannelMember | null>;
+    public add(user: Snowflake | User, role?: MemberRole): Promise<any>;
+    public edit(member: Snowflake | { id: Snowflake }, data: { role?: MemberRole }): Promise<any>;
+    public remove(member: Snowflake | { id: Snowflake }): Promise<any>;
+  }
+
+  // ============================================================================
+  // COMMANDS
+  // ============================================================================
+
+  type CommandArgumentType = 'string' | 'number' | 'integer' | 'user' | 'channel' | 'rest';
+
+  interface CommandArgument {
+    name: string;
+    type?: CommandArgumentType;
+    required?: boolean;
+    default?: any;
+  }
+
+  interface CommandContext {
+    command: Command;
+    prefix: string;
+    alias: string;
+    input: string;
+    handler: CommandHandler;
+    client: Client;
+  }
+
+  interface Command {
+    name: string;
+    aliases?: string[];
+    description?: string;
+    usage?: string;
+    args?: CommandArgument[];
+    cooldown?: number | { user?: number; channel?: number };
+    hidden?: boolean;
+    permissions?: PermissionString | PermissionString[];
+    clientPermissions?: PermissionString | PermissionString[];
+    run(message: Message, args: any, context: CommandContext): any;
+  }
+
+  type PrefixResolvable = string | string[] | ((message: Message) => Awaitable<string | string[]>);
+
+  interface CommandHandlerOptions {
+    prefix?: PrefixResolvable;
+    channelPrefixes?: Record<string, string | string[]>;
+    ignoreBots?: boolean;
+    caseSensitive?: boolean;
+    helpCommand?: boolean;
+    replyOnError?: boolean;
+  }
+
+  interface CommandHandlerEvents {
+    commandRun: [message: Message, command: Command, args: any];
+    commandError: [error: Error, message: Message, command: Command | undefined];
+    unknownCommand: [message: Message, name: string, prefix: string];
+    cooldown: [message: Message, command: Command, remaining: number];
+  }
+
+  class CommandHandler extends EventEmitter {
+    constructor(client: Client, options?: CommandHandlerOptions);
+    static tokenize(input: string): string[];
+
+    public client: Client;
+    public prefix: PrefixResolvable;
+    public ignoreBots: boolean;
+    public caseSensitive: boolean;
+    public replyOnError: boolean;
+    public channelPrefixes: Map<string, string | string[]>;
+    public commands: Collection<string, Command>;
+    public aliases: Map<string, string>;
+    public cooldowns: Map<string, number>;
+
+    public register(command: Command): this;
+    public unregister(name: string): boolean;
+    public get(name: string): Command | undefined;
+    public loadDirectory(directory: string): Command[];
+    public setPrefix(channelId: Snowflake, prefix: string | string[] | null): this;
+    public resolvePrefixes(message: Message): Promise<string[]>;
+    public parseArgs(command: Command, input: string, message: Message): Promise<any>;
+    public checkPermissions(command: Command, message: Message): Promise<void>;
+    public getCooldown(command: Command, message: Message): number;
+    public destroy(): void;
+
+    public on<K extends keyof CommandHandlerEvents>(event: K, listener: (...args: CommandHandlerEvents[K]) => void): this;
+    public once<K extends keyof CommandHandlerEvents>(event: K, listener: (...args: CommandHandlerEvents[K]) => void): this;
+    public emit<K extends keyof CommandHandlerEvents>(event: K, ...args: CommandHandlerEvents[K]): boolean;
+  }
+
+  // ============================================================================
+  // CACHE & REST INTERNALS
+  // ============================================================================
+
+  interface CacheStore<K = any, V = any> {
+    get(key: K): V | undefined;
+    set(key: K, value: V): this;
+    has(key: K): boolean;
+    delete(key: K): boolean;
+    clear(): void;
+    keys(): IterableIterator<K>;
+    values(): IterableIterator<V>;
+    entries(): IterableIterator<[K, V]>;
+    readonly size: number;
+    sweepExpired?(): number;
+  }
+
+  interface CacheOptions {
+    maxSize?: number;
+    ttl?: number;
+    store?: (type: string, options: CacheOptions) => CacheStore;
+  }
+
+  interface CacheManagerOptions {
+    users?: CacheOptions | false;
+    channels?: CacheOptions | false;
+    messages?: CacheOptions | false;
+    emojis?: CacheOptions | false;
+    stickers?: CacheOptions | false;
+    store?: (type: string, options: CacheOptions) => CacheStore;
+    sweepInterval?: number;
+  }
+
+  interface CacheManager {
+    client: Client;
+    sweepInterval: number;
+    options: Record<string, CacheOptions>;
+    create(type: string): CacheStore;
+    isEnabled(type: string): boolean;
+    sweep(): number;
+    destroy(): void;
+  }
+
+  interface ClientCache {
+    users: CacheStore<Snowflake, User>;
+    channels: CacheStore<Snowflake, Channel>;
+    messages: Map<Snowflake, CacheStore<Snowflake, Message>>;
+    emojis: CacheStore<Snowflake, Emoji>;
+    stickers: CacheStore<Snowflake, Sticker>;
+  }
+
+  interface SendQueue {
+    retryLimit: number;
+    retryDelay: number;
+    resetAt: number;
+    queues: Map<Snowflake, { items: any[]; running: boolean; resetAt: number }>;
+    push<T>(channelId: Snowflake, task: () => Promise<T>): Promise<T>;
+    hold(data?: GatewayRateLimitData): number;
+    clear(error?: Error): void;
+  }
+
+  interface DispatchInfo {
+    event: string;
+    channelId: Snowflake | null;
+    receivedAt: number;
+    latency: number;
+  }
+
+  interface DispatchOptions {
+    limit?: number;
+    onDispatch?: (info: DispatchInfo) => void;
+  }
+
+  interface DispatchHandlers<T> {
+    hydrate?: () => Promise<T>;
+    dispatch: (value: T) => void | Promise<void>;
+  }
+
+  interface DispatchPipeline {
+    limit: number;
+    onDispatch: ((info: DispatchInfo) => void) | null;
+    onError: ((error: Error, event: string) => void) | null;
+    size: number;
+    running: number;
+    tails: Map<string, Promise<void>>;
+    barrier: Promise<void> | null;
+    push<T = any>(event: string, channelId: Snowflake | null, handlers: DispatchHandlers<T>): Promise<void>;
+    idle(): Promise<void>;
+  }
+
+  interface GatewayRequestOptions {
+    timeout?: number;
+    idempotent?: boolean;
+    errorCode?: string;
+    response?: { event: string; filter?: (data: any) => boolean };
+  }
+
+  interface GatewayRequestManager {
+    client: Client;
+    timeout: number;
+    retryOnReconnect: boolean;
+    pending: Map<string, any>;
+    held: Map<string, any>;
+    request<T = any>(event: string, payload?: Record<string, any>, options?: GatewayRequestOptions): Promise<T>;
+    suspend(reason?: string): void;
+    replay(): number;
+    clear(reason?: string): void;
+  }
+
+  interface RequestManager {
+    client: Client;
+    axios: AxiosInstance;
+    retryLimit: number;
+    offset: number;
+    buckets: Map<string, { limit: number; remaining: number; resetAt: number; queue: Promise<void> }>;
+    globalResetAt: number;
+  }
+
+  // ============================================================================
+  // ERRORS
+  // ============================================================================
+
+  class ClientError extends Error {
+    constructor(message: string, code: string);
+    public code: string;
+  }
+
+  interface HTTPErrorDetails {
+    status?: number | null;
+    method?: string;
+    path?: string;
+    requestBody?: any;
+    response?: any;
+    retryAfter?: number | null;
+  }
+
+  class HTTPError extends ClientError {
+    constructor(message: string, code: string, details?: HTTPErrorDetails);
+    public status: number | null;
+    public method: string | null;
+    public path: string | null;
+    public requestBody: any;
+    public response: any;
+    public retryAfter: number | null;
+  }
+
+  class RateLimitError extends HTTPError {
+    constructor(
+      message: string,
+      code?: string,
+      details?: HTTPErrorDetails & { route?: string; limit?: number; global?: boolean },
+    );
+    public route: string | null;
+    public limit: number | null;
+    public global: boolean;
+  }
+
+  class PermissionError extends HTTPError {
+    constructor(message: string, code?: string, details?: HTTPErrorDetails & { missing?: PermissionString[] });
+    public missing: PermissionString[];
+  }
+
+  class GatewayError extends ClientError {
+    constructor(
+      message: string,
+      code: string,
+      details?: { event?: string; payload?: any; response?: any; retryAfter?: number | null },
+    );
+    public event: string | null;
+    public payload: any;
+    public response: any;
+    public retryAfter: number | null;
+  }
+
+  class ValidationError extends ClientError {
+    constructor(message: string, code: string);
+  }
+}
+
+export = Client;
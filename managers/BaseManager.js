@@ -0,0 +1,233 @@
+const Collection = require('@discordjs/collection').Collection;
+
+/**
+ * How many uncached IDs make `fetchMany` load the whole list instead of fetching them one by one.
+ * @type {number}
+ */
+const BULK_THRESHOLD = 3;
+
+/**
+ * Most IDs remembered as not found per manager.
+ * @type {number}
+ */
+const NOT_FOUND_LIMIT = 1000;
+
+/**
+ * @internal
+ * Base class of the managers, which hold the cache of one structure and the API methods around it.
+ * Fetches of the same ID with the same options share one request while it is in flight, and when
+ * `notFoundTTL` is set, IDs the API answered 404 for are not asked again for that long.
+ */
+class BaseManager {
+  /**
+   * Creates a new BaseManager.
+   * @param {import('../Client')} client - The client that owns the manager.
+   * @param {Function} holds - The structure class the manager holds.
+   * @param {string} cacheType - Key of the store in `client.cache`.
+   */
+  constructor(client, holds, cacheType) {
+    /**
+     * The client that owns this manager.
+     * @type {import('../Client')}
+     */
+    Object.defineProperty(this, 'client', { value: client });
+
+    /**
+     * The structure class the manager holds.
+     * @type {Function}
+     */
+    Object.defineProperty(this, 'holds', { value: holds });
+
+    this.cacheType = cacheType;
+
+    /**
+     * Requests in flight, keyed by what they fetch, shared by concurrent callers.
+     * @type {Map<string, Promise<*>>}
+     * @private
+     */
+    Object.defineProperty(this, '_inflight', { value: new Map() });
+
+    /**
+     * IDs the API answered 404 for, with the error and when it expires.
+     * @type {Map<string, {error: Error, expiresAt: number}>}
+     * @private
+     */
+    Object.defineProperty(this, '_notFound', { value: new Map() });
+  }
+
+  /**
+   * The cached entries, shared with `client.cache`.
+   * @type {import('../helpers/CacheManager').CacheStore}
+   */
+  get cache() {
+    return this.client.cache[this.cacheType];
+  }
+
+  /**
+   * Resolves an ID or an object to a cached entry.
+   * @param {string|number|Object} idOrInstance - The ID, the entry, or an object with an `id`.
+   * @returns {Object|null} The cached entry, or null.
+   */
+  resolve(idOrInstance) {
+    if (idOrInstance instanceof this.holds) return idOrInstance;
+
+    const id = this.resolveId(idOrInstance);
+    if (id === null) return null;
+    return this.cache.get(id) ?? null;
+  }
+
+  /**
+   * Resolves an ID or an object to an ID.
+   * @param {string|number|Object} idOrInstance - The ID, the entry, or an object with an `id`.
+   * @returns {string|number|null} The ID, or null.
+   */
+  resolveId(idOrInstance) {
+    if (idOrInstance === null || idOrInstance === undefined) return null;
+    if (typeof idOrInstance === 'object') return idOrInstance.id ?? null;
+    return idOrInstance;
+  }
+
+  /**
+   * Fetches several entries, from the cache unless forced. Concurrent fetches of one ID share a request,
+   * and when several IDs are missing the whole list is loaded at once where the API has one.
+   * IDs that do not exist are left out.
+   * @param {Iterable<string|number|Object>} ids - The IDs or entries.
+   * @param {Object} [options={}] - Fetch options, passed to `fetch`.
+   * @param {boolean} [options.force=false] - Skip the cache and ask the API.
+   * @param {boolean} [options.cache=true] - Cache the fetched entries.
+   * @returns {Promise<Collection<string|number, Object>>} The entries keyed by ID, in the order given.
+   * @example
+   * const users = await client.users.fetchMany(msg.mentions.userIds);
+   */
+  async fetchMany(ids, { force = false, cache = true } = {}) {
+    const wanted = new Map();
+    for (const idOrInstance of ids) {
+      const id = this.resolveId(idOrInstance);
+      if (id !== null && !wanted.has(String(id))) wanted.set(String(id), id);
+    }
+
+    const found = new Map();
+    let missing = [];
+    for (const [key, id] of wanted) {
+      const existing = force ? null : this.cache.get(id);
+      if (existing) found.set(key, existing);
+      else if (!this._isNotFound(key)) missing.push(id);
+    }
+
+    if (missing.length >= BULK_THRESHOLD && typeof this.fetchAll === 'function') {
+      const listed = await this._coalesce(`all:cache=${cache}`, () => this.fetchAll({ cache }));
+      for (const entry of listed) {
+        if (wanted.has(String(entry.id))) found.set(String(entry.id), entry);
+      }
+      missing = missing.filter(id => !found.has(String(id)));
+    }
+
+    await Promise.all(missing.map(id => this.fetch(id, { force, cache })
+      .then(entry => found.set(String(id), entry))
+      .catch(error => {
+        if (error.status !== 404) throw error;
+      })));
+
+    const result = new Collection();
+    for (const key of wanted.keys()) {
+      const entry = found.get(key);
+      if (entry) result.set(entry.id, entry);
+    }
+    return result;
+  }
+
+  /**
+   * Fetches an entry by ID through `request`, sharing the request with concurrent callers
+   * and remembering for a while when the API answered 404.
+   * @param {string|number} id - The ID.
+   * @param {function(): Promise<*>} request - Performs the request.
+   * @param {Object} [options={}] - The fetch options, only requests with the same options are shared.
+   * @param {boolean} [options.force=false] - Ask the API even when it recently answered 404.
+   * @param {boolean} [options.cache=true] - Whether the request caches what it fetches.
+   * @returns {Promise<*>}
+   * @private
+   */
+  _fetchById(id, request, { force = false, cache = true } = {}) {
+    const key = String(id);
+    if (!force && this._isNotFound(key)) return Promise.reject(this._notFound.get(key).error);
+
+    return this._coalesce(`${key}:force=${force}:cache=${cache}`, async () => {
+      try {
+        return await request();
+      } catch (error) {
+        if (error.status === 404) this._rememberNotFound(key, error);
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Runs a task unless one with the same key is in flight, in which case its promise is returned.
+   * @param {string} key - What the task fetches, including the options that change its result.
+   * @param {function(): Promise<*>} task - The task.
+   * @returns {Promise<*>}
+   * @private
+   */
+  _coalesce(key, task) {
+    let pending = this._inflight.get(key);
+
+    if (!pending) {
+      pending = task().finally(() => this._inflight.delete(key));
+      this._inflight.set(key, pending);
+    }
+
+    return pending;
+  }
+
+  /**
+   * Whether the API recently answered 404 for an ID.
+   * @private
+   */
+  _isNotFound(key) {
+    const entry = this._notFound.get(key);
+    if (!entry) return false;
+    if (entry.expiresAt > Date.now()) return true;
+
+    this._notFound.delete(key);
+    return false;
+  }
+
+  /**
+   * Remembers that the API answered 404 for an ID, for `notFoundTTL` ms.
+   * @private
+   */
+  _rememberNotFound(key, error) {
+    const ttl = this.client.config?.notFoundTTL ?? 0;
+    if (ttl <= 0) return;
+
+    this._notFound.delete(key);
+    this._notFound.set(key, { error, expiresAt: Date.now() + ttl });
+
+    if (this._notFound.size > NOT_FOUND_LIMIT) {
+      this._notFound.delete(this._notFound.keys().next().value);
+    }
+  }
+
+  /**
+   * Creates an entry from raw data, updating the cached one in place when it exists.
+   * @param {Object} data - Raw data from the API.
+   * @param {boolean} [cache=true] - Whether to cache a new entry.
+   * @returns {Object} The entry.
+   * @private
+   */
+  _add(data, cache = true) {
+    this._notFound.delete(String(data.id));
+
+    const existing = this.cache.get(data.id);
+    if (existing instanceof this.holds) {
+      if (typeof existing._patch === 'function') return existing._patch(data);
+      return Object.assign(existing, new this.holds(data, this.client));
+    }
+
+    const entry = new this.holds(data, this.client);
+    if (cache) this.cache.set(entry.id, entry);
+    return entry;
+  }
+}
+
+module.exports = BaseManager;
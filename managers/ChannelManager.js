@@ -0,0 +1,225 @@
+const BaseManager = require('./BaseManager');
+const Channel = require('../structures/Channel');
+const { ClientError, ValidationError } = require('../helpers/Errors');
+
+/**
+ * Manages the channels known to the client, and their members.
+ * @example
+ * const channel = await client.channels.create({ name: 'support' });
+ * await client.channels.edit(channel, { description: 'Ask here' });
+ */
+class ChannelManager extends BaseManager {
+  /**
+   * Creates a new ChannelManager.
+   * @param {import('../Client')} client - The client that owns the manager.
+   */
+  constructor(client) {
+    super(client, Channel, 'channels');
+  }
+
+  /**
+   * Fetches a channel, from the cache unless forced.
+   * @param {string|number|Channel} channel - The channel or its ID.
+   * @param {Object} [options={}] - Fetch options.
+   * @param {boolean} [options.force=false] - Skip the cache and ask the API.
+   * @param {boolean} [options.cache=true] - Cache the fetched channel.
+   * @returns {Promise<Channel>}
+   */
+  async fetch(channel, { force = false, cache = true } = {}) {
+    const id = this.resolveId(channel);
+
+    if (!force) {
+      const existing = this.cache.get(id);
+      if (existing) return existing;
+    }
+
+    return this._fetchById(id, async () => {
+      try {
+        const res = await this.client._axios.get(`/api/channels/${id}`);
+        return this._add(res.data, cache);
+      } catch (error) {
+        throw error instanceof ClientError
+          ? error
+          : new ClientError(error.message, "FETCH_CHANNEL_ERROR");
+      }
+    }, { force, cache });
+  }
+
+  /**
+   * Fetches every channel the bot is in.
+   * @param {Object} [options={}] - Fetch options.
+   * @param {boolean} [options.cache=true] - Cache the fetched channels.
+   * @returns {Promise<Channel[]>}
+   */
+  async fetchAll({ cache = true } = {}) {
+    try {
+      const res = await this.client._axios.get('/api/channels');
+      return res.data.map(c => this._add(c, cache));
+    } catch (error) {
+      throw error instanceof ClientError ? error : new ClientError(error.message, "FETCH_CHANNELS_ERROR");
+    }
+  }
+
+  /**
+   * Creates a channel.
+   * @param {Object} options - Channel options.
+   * @param {string} options.name - Channel name.
+   * @param {string} [options.description=""] - Channel description.
+   * @returns {Promise<Channel>}
+   */
+  async create({ name, description = "" } = {}) {
+    if (!name || name.trim() === "") {
+      throw new ValidationError("Channel name is required", "INVALID_CHANNEL_NAME");
+    }
+
+    try {
+      const data = {
+        name: name.trim(),
+        description,
+        type: "text"
+      };
+
+      const res = await this.client._axios.post('/api/channels', data);
+      return this._add(res.data.channel);
+    } catch (error) {
+      throw error instanceof ClientError ? error : new ClientError(error.message, "CREATE_CHANNEL_ERROR");
+    }
+  }
+
+  /**
+   * Edits a channel.
+   * @param {string|number|Channel} channel - The channel or its ID.
+   * @param {Object} options - Fields to change.
+   * @param {string} [options.name] - New channel name.
+   * @param {string} [options.description] - New channel description.
+   * @returns {Promise<Channel>}
+   */
+  async edit(channel, { name, description } = {}) {
+    if (!name && !description) {
+      throw new ValidationError("At least one field must be provided to update", "NO_UPDATE_FIELDS");
+    }
+
+    try {
+      const data = { type: "text" };
+      if (name !== undefined) data.name = name.trim();
+      if (description !== undefined) data.description = description;
+
+      const res = await this.client._axios.patch(`/api/channels/${this.resolveId(channel)}`, data);
+      return this._add(res.data.channel);
+    } catch (error) {
+      throw error instanceof ClientError ? error : new ClientError(error.message, "UPDATE_CHANNEL_ERROR");
+    }
+  }
+
+  /**
+   * Deletes a channel.
+   * @param {string|number|Channel} channel - The channel or its ID.
+   * @returns {Promise<Object>} The API response.
+   */
+  async delete(channel) {
+    const id = this.resolveId(channel);
+
+    try {
+      const res = await this.client._axios.delete(`/api/channels/${id}`);
+      this.cache.delete(id);
+      return res.data;
+    } catch (error) {
+      throw error instanceof ClientError ? error : new ClientError(error.message, "DELETE_CHANNEL_ERROR");
+    }
+  }
+
+  // ============================================================================
+  // MEMBERS
+  // ============================================================================
+
+  /**
+   * Fetches the members of a cached channel, replacing its member cache.
+   * Concurrent calls for the same channel share one request.
+   * @param {string|number|Channel} channel - The channel or its ID.
+   * @returns {Promise<import('../structures/ChannelMember')[]>}
+   */
+  fetchMembers(channel) {
+    return this._coalesce(`members:${this.resolveId(channel)}`, () => this._fetchMembers(channel));
+  }
+
+  /**
+   * Requests the member list of a channel.
+   * @private
+   */
+  async _fetchMembers(channel) {
+    try {
+      const res = await this.client._axios.get(`/api/channels/${this.resolveId(channel)}/members`);
+      const cached = this.resolve(channel);
+
+      if (!cached) throw new ClientError("Canal não encontrado", "CHANNEL_NOT_FOUND");
+
+      const members = res.data.map(m => cached.members._add(m, false));
+
+      cached.members.clear();
+      for (const member of members) {
+        cached.members.set(member.id, member);
+      }
+      cached.members._fetched = true;
+
+      return members;
+    } catch (error) {
+      throw error instanceof ClientError ? error : new ClientError(error.message, "FETCH_MEMBERS_ERROR");
+    }
+  }
+
+  /**
+   * Adds a member to a channel.
+   * @param {string|number|Channel} channel - The channel or its ID.
+   * @param {string|number|import('../structures/User')} user - The user or its ID.
+   * @param {string} [role="member"] - Member role.
+   * @returns {Promise<Object>} The API response.
+   */
+  async addMember(channel, user, role = 'member') {
+    try {
+      const res = await this.client._axios.post(`/api/channels/${this.resolveId(channel)}/members`, {
+        userId: this.client.users.resolveId(user),
+        role
+      });
+      return res.data;
+    } catch (error) {
+      throw error instanceof ClientError ? error : new ClientError(error.message, "ADD_MEMBER_ERROR");
+    }
+  }
+
+  /**
+   * Edits a member of a channel.
+   * @param {string|number|Channel} channel - The channel or its ID.
+   * @param {string|number|import('../structures/User')} user - The user or its ID.
+   * @param {Object} data - Fields to change, e.g. `{ role: 'moderator' }`.
+   * @returns {Promise<Object>} The API response.
+   */
+  async editMember(channel, user, data) {
+    try {
+      const channelId = this.resolveId(channel);
+      const userId = this.client.users.resolveId(user);
+      const res = await this.client._axios.patch(`/api/channels/${channelId}/members/${userId}`, data);
+      return res.data;
+    } catch (error) {
+      throw error instanceof ClientError ? error : new ClientError(error.message, "UPDATE_MEMBER_ERROR");
+    }
+  }
+
+  /**
+   * Removes a member from a channel.
+   * @param {string|number|Channel} channel - The channel or its ID.
+   * @param {string|number|import('../structures/User')} user - The user or its ID.
+   * @returns {Promise<Object>} The API response.
+   */
+  async removeMember(channel, user) {
+    try {
+      const channelId = this.resolveId(channel);
+      const userId = this.client.users.resolveId(user);
+      const res = await this.client._axios.delete(`/api/channels/${channelId}/members/${userId}`);
+      return res.data;
+    } catch (error) {
+      throw error instanceof ClientError ? error : new ClientError(error.message, "REMOVE_MEMBER_ERROR");
+    }
+  }
+}
+
+module.exports = ChannelManager;
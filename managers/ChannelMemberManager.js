@@ -0,0 +1,162 @@
+const Collection = require('@discordjs/collection').Collection;
+const ChannelMember = require('../structures/ChannelMember');
+
+/**
+ * The members of a channel. It is a Collection of the cached members keyed by user ID,
+ * with methods to fetch and change them.
+ * The list is fetched once, when code asks for it, and kept up to date from member events afterwards.
+ * @example
+ * await channel.members.fetch();
+ * const member = channel.members.get(42);
+ * await channel.members.add(57, 'moderator');
+ */
+class ChannelMemberManager extends Collection {
+  /**
+   * Creates a new ChannelMemberManager.
+   * @param {import('../structures/Channel')} channel - The channel the members belong to.
+   */
+  constructor(channel) {
+    super();
+
+    /**
+     * The channel the members belong to.
+     * @type {import('../structures/Channel')}
+     */
+    Object.defineProperty(this, 'channel', { value: channel });
+
+    /**
+     * Whether the whole list was fetched and is kept up to date since.
+     * @type {boolean}
+     * @private
+     */
+    Object.defineProperty(this, '_fetched', { value: false, writable: true });
+  }
+
+  /**
+   * Collections derived through `filter`, `map`, etc. are plain Collections.
+   */
+  static get [Symbol.species]() {
+    return Collection;
+  }
+
+  /**
+   * The client of the channel.
+   * @type {import('../Client')}
+   */
+  get client() {
+    return this.channel.client;
+  }
+
+  /**
+   * Whether the whole member list is cached. It is fetched again after a reconnect,
+   * since joins and leaves may have been missed.
+   * @type {boolean}
+   */
+  get fetched() {
+    return this._fetched;
+  }
+
+  /**
+   * The cached members, the manager itself.
+   * @type {ChannelMemberManager}
+   */
+  get cache() {
+    return this;
+  }
+
+  /**
+   * Resolves a member, user or ID to a cached member.
+   * @param {string|number|Object} member - The member, user or ID.
+   * @returns {ChannelMember|null}
+   */
+  resolve(member) {
+    const id = this.resolveId(member);
+    return id === null ? null : this.get(id) ?? null;
+  }
+
+  /**
+   * Resolves a member, user or ID to a user ID.
+   * @param {string|number|Object} member - The member, user or ID.
+   * @returns {string|number|null}
+   */
+  resolveId(member) {
+    if (member === null || member === undefined) return null;
+    if (typeof member === 'object') return member.id ?? null;
+    return member;
+  }
+
+  /**
+   * Fetches every member of the channel, or one member when given a user.
+   * Once the whole list is cached, it is served from the cache unless forced.
+   * @param {string|number|Object} [member] - The member to fetch.
+   * @param {Object} [options={}] - Fetch options.
+   * @param {boolean} [options.force=false] - Skip the cache and ask the API.
+   * @returns {Promise<ChannelMemberManager|ChannelMember|null>} The manager, or the member.
+   * @example
+   * await channel.members.fetch();              // every member, cached if possible
+   * await channel.members.fetch(42);            // one member, cached if possible
+   * await channel.members.fetch(42, { force: true });
+   */
+  async fetch(member, { force = false } = {}) {
+    if (member === undefined) {
+      if (force || !this._fetched) await this.client.channels.fetchMembers(this.channel);
+      return this;
+    }
+
+    if (!force) {
+      const existing = this.resolve(member);
+      if (existing || this._fetched) return existing;
+    }
+
+    await this.client.channels.fetchMembers(this.channel);
+    return this.resolve(member);
+  }
+
+  /**
+   * Patches the cached member with raw data, or creates and caches a new one.
+   * @param {Object} data - Raw member data.
+   * @param {boolean} [cache=true] - Whether to cache a new member.
+   * @returns {ChannelMember}
+   * @private
+   */
+  _add(data, cache = true) {
+    const id = data.user?.id ?? data.id;
+    const existing = this.get(id);
+    if (existing) return existing._patch(data);
+
+    const member = new ChannelMember(data, this.channel);
+    if (cache) this.set(member.id, member);
+    return member;
+  }
+
+  /**
+   * Adds a user to the channel.
+   * @param {string|number|Object} user - The user or its ID.
+   * @param {string} [role="member"] - Member role.
+   * @returns {Promise<Object>} The API response.
+   */
+  add(user, role = 'member') {
+    return this.client.channels.addMember(this.channel, user, role);
+  }
+
+  /**
+   * Edits a member of the channel.
+   * @param {string|number|Object} member - The member, user or ID.
+   * @param {Object} data - Fields to change, e.g. `{ role: 'moderator' }`.
+   * @returns {Promise<Object>} The API response.
+   */
+  edit(member, data) {
+    return this.client.channels.editMember(this.channel, this.resolveId(member), data);
+  }
+
+  /**
+   * Removes a member from the channel.
+   * @param {string|number|Object} member - The member, user or ID.
+   * @returns {Promise<Object>} The API response.
+   */
+  remove(member) {
+    return this.client.channels.removeMember(this.channel, this.resolveId(member));
+  }
+}
+
+module.exports = ChannelMemberManager;
@@ -0,0 +1,73 @@
+const BaseManager = require('./BaseManager');
+const Emoji = require('../structures/Emoji');
+const { ClientError } = require('../helpers/Errors');
+
+/**
+ * Manages the custom emojis known to the client.
+ * @example
+ * const emojis = await client.emojis.fetchAll({ search: 'cat' });
+ */
+class EmojiManager extends BaseManager {
+  /**
+   * Creates a new EmojiManager.
+   * @param {import('../Client')} client - The client that owns the manager.
+   */
+  constructor(client) {
+    super(client, Emoji, 'emojis');
+  }
+
+  /**
+   * Fetches an emoji, from the cache unless forced.
+   * @param {string|number|Emoji} emoji - The emoji or its ID.
+   * @param {Object} [options={}] - Fetch options.
+   * @param {boolean} [options.force=false] - Skip the cache and ask the API.
+   * @param {boolean} [options.cache=true] - Cache the fetched emoji.
+   * @returns {Promise<Emoji>}
+   */
+  async fetch(emoji, { force = false, cache = true } = {}) {
+    const id = this.resolveId(emoji);
+
+    if (!force) {
+      const existing = this.cache.get(id);
+      if (existing) return existing;
+    }
+
+    return this._fetchById(id, async () => {
+      try {
+        const res = await this.client._axios.get(`/api/emojis/${id}`);
+        return this._add(res.data, cache);
+      } catch (error) {
+        throw error instanceof ClientError
+          ? error
+          : new ClientError(error.message, "FETCH_EMOJI_ERROR");
+      }
+    }, { force, cache });
+  }
+
+  /**
+   * Fetches every emoji available to the bot.
+   * @param {Object} [options={}] - Fetch options.
+   * @param {string} [options.search] - Only emojis whose name matches.
+   * @param {boolean} [options.cache=true] - Cache the fetched emojis.
+   * @returns {Promise<Emoji[]>}
+   */
+  async fetchAll({ search, cache = true } = {}) {
+    try {
+      const params = {};
+      if (search) params.search = search;
+
+      const res = await this.client._axios.get('/api/emojis/all', { params });
+
+      return res.data.map(e => {
+        if (!e.user_id && this.client.user) e.user_id = this.client.user.id;
+        return this._add(e, cache);
+      });
+    } catch (error) {
+      throw error instanceof ClientError
+        ? error
+        : new ClientError(error.message, "FETCH_EMOJIS_ERROR");
+    }
+  }
+}
+
+module.exports = EmojiManager;
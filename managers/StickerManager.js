@@ -0,0 +1,69 @@
+const BaseManager = require('./BaseManager');
+const Sticker = require('../structures/Sticker');
+const { ClientError } = require('../helpers/Errors');
+
+/**
+ * Manages the stickers known to the client.
+ * @example
+ * const sticker = await client.stickers.fetch(1);
+ */
+class StickerManager extends BaseManager {
+  /**
+   * Creates a new StickerManager.
+   * @param {import('../Client')} client - The client that owns the manager.
+   */
+  constructor(client) {
+    super(client, Sticker, 'stickers');
+  }
+
+  /**
+   * Fetches a sticker, from the cache unless forced.
+   * @param {string|number|Sticker} sticker - The sticker or its ID.
+   * @param {Object} [options={}] - Fetch options.
+   * @param {boolean} [options.force=false] - Skip the cache and ask the API.
+   * @param {boolean} [options.cache=true] - Cache the fetched sticker.
+   * @returns {Promise<Sticker>}
+   */
+  async fetch(sticker, { force = false, cache = true } = {}) {
+    const id = this.resolveId(sticker);
+
+    if (!force) {
+      const existing = this.cache.get(id);
+      if (existing) return existing;
+    }
+
+    return this._fetchById(id, async () => {
+      try {
+        const res = await this.client._axios.get(`/api/stickers/${id}`);
+        return this._add(res.data, cache);
+      } catch (error) {
+        throw error instanceof ClientError
+          ? error
+          : new ClientError(error.message, "FETCH_STICKER_ERROR");
+      }
+    }, { force, cache });
+  }
+
+  /**
+   * Fetches every sticker available to the bot.
+   * @param {Object} [options={}] - Fetch options.
+   * @param {string} [options.search] - Only stickers whose name matches.
+   * @param {boolean} [options.cache=true] - Cache the fetched stickers.
+   * @returns {Promise<Sticker[]>}
+   */
+  async fetchAll({ search, cache = true } = {}) {
+    try {
+      const params = {};
+      if (search) params.search = search;
+
+      const res = await this.client._axios.get('/api/stickers/all', { params });
+      return res.data.map(s => this._add(s, cache));
+    } catch (error) {
+      throw error instanceof ClientError
+        ? error
+        : new ClientError(error.message, "FETCH_STICKERS_ERROR");
+    }
+  }
+}
+
+module.exports = StickerManager;
@@ -0,0 +1,70 @@
+const BaseManager = require('./BaseManager');
+const User = require('../structures/User');
+const { ClientError } = require('../helpers/Errors');
+
+/**
+ * Manages the users known to the client.
+ * @example
+ * const user = await client.users.fetch(42);
+ * client.users.cache.get(42) === user; // true
+ */
+class UserManager extends BaseManager {
+  /**
+   * Creates a new UserManager.
+   * @param {import('../Client')} client - The client that owns the manager.
+   */
+  constructor(client) {
+    super(client, User, 'users');
+  }
+
+  /**
+   * Fetches a user, from the cache unless forced.
+   * @param {string|number|User} user - The user or its ID.
+   * @param {Object} [options={}] - Fetch options.
+   * @param {boolean} [options.force=false] - Skip the cache and ask the API.
+   * @param {boolean} [options.cache=true] - Cache the fetched user.
+   * @returns {Promise<User>}
+   */
+  async fetch(user, { force = false, cache = true } = {}) {
+    const id = this.resolveId(user);
+
+    if (!force) {
+      const existing = this.cache.get(id);
+      if (existing) return existing;
+    }
+
+    return this._fetchById(id, async () => {
+      try {
+        const res = await this.client._axios.get(`/api/users/${id}`);
+        return this._add(res.data, cache);
+      } catch (error) {
+        throw error instanceof ClientError
+          ? error
+          : new ClientError(error.message, "FETCH_USER_ERROR");
+      }
+    }, { force, cache });
+  }
+
+  /**
+   * Fetches the bot user.
+   * @param {Object} [options={}] - Fetch options.
+   * @param {boolean} [options.force=false] - Skip `client.user` and ask the API.
+   * @returns {Promise<User>}
+   */
+  async fetchMe({ force = false } = {}) {
+    if (!force && this.client.user) return this.client.user;
+
+    try {
+      const res = await this.client._axios.get('/api/users/me');
+      const user = this._add(res.data);
+      this.client.user = user;
+      return user;
+    } catch (error) {
+      throw error instanceof ClientError
+        ? error
+        : new ClientError(error.message, "FETCH_ME_ERROR");
+    }
+  }
+}
+
+module.exports = UserManager;
@@ -0,0 +1,92 @@
+const { formatUrl } = require('../helpers');
+
+/**
+ * Content types of common file extensions, used when the API does not send one.
+ * @type {Object<string, string>}
+ */
+const CONTENT_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  svg: 'image/svg+xml',
+  mp4: 'video/mp4',
+  webm: 'video/webm',
+  mov: 'video/quicktime',
+  mp3: 'audio/mpeg',
+  ogg: 'audio/ogg',
+  wav: 'audio/wav',
+  pdf: 'application/pdf',
+  txt: 'text/plain',
+  json: 'application/json',
+  zip: 'application/zip',
+};
+
+/**
+ * @internal
+ * A file attached to a received message. Files to send are `MessageAttachment`s.
+ */
+class Attachment {
+  /**
+   * Creates a new Attachment instance.
+   * @param {Object} data - Raw attachment data.
+   * @param {string|number} [data.id] - The ID of the attachment.
+   * @param {string} data.url - The URL of the file.
+   * @param {string} [data.name] - The file name.
+   * @param {number|string} [data.size] - The size in bytes.
+   * @param {string} [data.content_type] - The MIME type, guessed from the file name when missing.
+   * @param {number} [data.width] - The width of an image or video.
+   * @param {number} [data.height] - The height of an image or video.
+   * @param {import('../Client')} [clientInstance] - The client instance.
+   * @returns {Attachment} The created Attachment instance.
+   * @example
+   * Attachment {
+   *   id: null,
+   *   url: 'https://api.beniocord.site/uploads/1762899895145-938680330.gif',
+   *   name: 'cat.gif',
+   *   size: 48213,
+   *   contentType: 'image/gif',
+   *   width: null,
+   *   height: null
+   * }
+   */
+  constructor(data, clientInstance) {
+    this.id = data.id ?? null;
+    this.url = formatUrl(data.url, clientInstance?.cdnUrl);
+    this.name = data.name ?? null;
+    this.size = data.size !== undefined && data.size !== null ? Number(data.size) : null;
+    this.contentType = data.content_type ?? data.mime_type ?? Attachment.guessContentType(this.name || this.url);
+    this.width = data.width ?? null;
+    this.height = data.height ?? null;
+  }
+
+  /**
+   * Guesses a content type from the extension of a file name or URL.
+   * @param {string|null} name - The file name or URL.
+   * @returns {string|null}
+   */
+  static guessContentType(name) {
+    if (!name) return null;
+    const extension = name.split(/[?#]/)[0].split('.').pop().toLowerCase();
+    return CONTENT_TYPES[extension] ?? null;
+  }
+
+  /**
+   * Whether the attachment is an image.
+   * @type {boolean}
+   */
+  get isImage() {
+    return Boolean(this.contentType && this.contentType.startsWith('image/'));
+  }
+
+  /**
+   * Whether the attachment is a video.
+   * @type {boolean}
+   */
+  get isVideo() {
+    return Boolean(this.contentType && this.contentType.startsWith('video/'));
+  }
+}
+
+module.exports = Attachment;
@@ -1,9 +1,11 @@
-const { formatUrl } = require('../helpers');
+const { formatUrl, cloneStructure } = require('../helpers');
 const MessageCollector = require('./MessageCollector');
+const { createTranscript } = require('../helpers/Transcript');
+const ChannelMemberManager = require('../managers/ChannelMemberManager');
+const Permissions = require('./Permissions');
+const { channelMention } = require('../helpers/Formatters');
 const Collection = require('@discordjs/collection').Collection;
 
-let client;
-
 /**
  * @internal
  */
@@ -38,18 +40,22 @@ class Channel {
    *   memberCount: 8,
    *   createdAt: '2025-09-21T15:28:43.610Z',
    *   updatedAt: '2025-11-11T23:49:54.906Z',
-   *   members: Collection(0) [Map] { fetch: [AsyncFunction (anonymous)] },
+   *   members: ChannelMemberManager(0) [Map] {},
    *   messages: Collection(0) [Map] { fetch: [AsyncFunction (anonymous)] }
    * }
    */
   constructor(data, clientInstance) {
-    client = clientInstance;
+    /**
+     * The client that instantiated this channel.
+     * @type {import('../Client')}
+     */
+    Object.defineProperty(this, 'client', { value: clientInstance, writable: true });
 
     this.id = data.id;
     this.name = data.name;
     this.description = data.description;
     this.type = data.type || "text";
-    this.iconUrl = formatUrl(data.icon_url) || null;
+    this.iconUrl = formatUrl(data.icon_url, clientInstance?.cdnUrl) || null;
     this.ownerId = data.created_by;
     this.isPrivate = data.is_private;
     this.isLocked = data.is_locked;
@@ -59,47 +65,125 @@ class Channel {
 
     /**
      * Cached members of the channel.
-     * @type {Collection<string, import('./User')>}
+     * @type {ChannelMemberManager}
      */
-    this.members = new Collection();
-    this.members.fetch = async () => {
-      const members = await client.fetchChannelMembers(this.id);
-      this.members.clear();
-      for (const member of members) {
-        this.members.set(member.id, member);
-      }
-      return this.members;
-    };
+    this.members = new ChannelMemberManager(this);
 
     /**
-     * Cached messages of the channel.
+     * Cached messages of the channel, limited by the client's `cache.messages` options.
      * @type {Collection<string, import('./Message')>}
      */
-    this.messages = new Collection();
+    this.messages = clientInstance?.cache?.messages.get(this.id)
+      || (clientInstance?.caches ? clientInstance.caches.create('messages') : new Collection());
+    clientInstance?.cache?.messages.set(this.id, this.messages);
+
     this.messages.fetch = async (id) => {
-      if (client.fetchMessage) {
-        const message = await client.fetchMessage(this.id, id);
+      if (this.client.fetchMessage) {
+        const message = await this.client.fetchMessage(this.id, id);
         if (message) this.messages.set(message.id, message);
         return message;
       }
       return null;
     };
 
-    Object.defineProperty(this.members, '_cache', {
-      value: new Map(),
-      writable: true,
-      enumerable: false,
+    /**
+     * Iterates over the channel history, fetching pages as needed.
+     * @param {Object} [options={}] - History options, see `Client#fetchMessageHistory`.
+     * @returns {AsyncGenerator<import('./Message')>}
+     * @example
+     * for await (const msg of channel.messages.fetchHistory({ limit: 1000 })) {
+     *   console.log(msg.author?.username, msg.content);
+     * }
+     */
+    this.messages.fetchHistory = (options = {}) => this.client.fetchMessageHistory(this.id, options);
+  }
+
+  /**
+   * Updates this channel with the fields present in raw channel data.
+   * @param {Object} data - Raw, possibly partial, channel data.
+   * @returns {Channel} This channel.
+   * @private
+   */
+  _patch(data) {
+    if ('name' in data) this.name = data.name;
+    if ('description' in data) this.description = data.description;
+    if ('type' in data) this.type = data.type || "text";
+    if ('icon_url' in data) this.iconUrl = formatUrl(data.icon_url, this.client?.cdnUrl) || null;
+    if ('created_by' in data) this.ownerId = data.created_by;
+    if ('is_private' in data) this.isPrivate = data.is_private;
+    if ('is_locked' in data) this.isLocked = data.is_locked;
+    if ('member_count' in data) this.memberCount = Number(data.member_count);
+    if ('updated_at' in data) this.updatedAt = data.updated_at;
+    return this;
+  }
+
+  /**
+   * Creates a snapshot of this channel, e.g. to keep its state before an update.
+   * The members are copied, the message cache is shared.
+   * @returns {Channel}
+   * @private
+   */
+  _clone() {
+    return cloneStructure(this, {
+      members: (members, clone) => {
+        const copy = new ChannelMemberManager(clone);
+        for (const [id, member] of members) copy.set(id, member);
+        copy._fetched = members._fetched;
+        return copy;
+      },
     });
   }
 
+  /**
+   * Resolves the capabilities of a user in the channel from the cached members.
+   * The channel owner is always an owner; users who are not cached members have none.
+   * @param {string|number|Object} user - The user, member or ID.
+   * @returns {Permissions}
+   * @example
+   * if (!channel.permissionsFor(client.user).has('MANAGE_CHANNEL')) return;
+   * await client.updateChannel(channel.id, { name: 'archive' });
+   */
+  permissionsFor(user) {
+    const id = this.members.resolveId(user);
+    if (id !== null && String(id) === String(this.ownerId)) return new Permissions('owner');
+
+    const member = id === null ? null : this.members.get(id);
+    return new Permissions(member ? (member.isOwner ? 'owner' : member.role) : null);
+  }
+
+  /**
+   * Same as `permissionsFor`, fetching the member first when it is not cached.
+   * @param {string|number|Object} user - The user, member or ID.
+   * @returns {Promise<Permissions>}
+   */
+  async fetchPermissionsFor(user) {
+    const id = this.members.resolveId(user);
+
+    if (id !== null && String(id) !== String(this.ownerId) && !this.members.has(id)) {
+      await this.members.fetch(id);
+    }
+
+    return this.permissionsFor(id);
+  }
+
+  /**
+   * Returns the mention of the channel, so it can be used in message templates.
+   * @returns {string}
+   * @example
+   * msg.reply(`Ask in ${channel}`); // "Ask in <#2>"
+   */
+  toString() {
+    return channelMention(this);
+  }
+
   /**
    * Sends a message to the channel.
-   * @param {string|Object} content - The content of the message.
+   * @param {string|import('./Util').MessageEmbed|import('./MessagePayload')|Object} content - The content, an embed, a payload or options.
    * @param {Object} [opts] - Optional message options.
-   * @returns {Promise<import('./Message')>} The sent message.
+   * @returns {Promise<import('./Message')|import('./Message')[]>} The sent message, or every part when `opts.split` is set.
    */
   async send(content, opts = {}) {
-    return client.sendMessage(this.id, content, opts);
+    return this.client.sendMessage(this.id, content, opts);
   }
 
   /**
@@ -107,7 +191,7 @@ class Channel {
    * @returns {Promise<void>}
    */
   startTyping() {
-    return client.startTyping(this.id);
+    return this.client.startTyping(this.id);
   }
 
   /**
@@ -115,7 +199,36 @@ class Channel {
    * @returns {Promise<void>}
    */
   stopTyping() {
-    return client.stopTyping(this.id);
+    return this.client.stopTyping(this.id);
+  }
+
+  /**
+   * Streams the full history of the channel as a transcript, newest message first.
+   * Authors, attachments, stickers and embeds are included. The API only pages backward,
+   * so each page is written as soon as it is fetched instead of holding the whole history.
+   * @param {Object} [options={}] - Export options.
+   * @param {'json'|'ndjson'|'html'|'txt'} [options.format='json'] - Output format.
+   * @param {number} [options.limit] - Maximum number of messages, counted from the newest.
+   * @param {Date|string|number} [options.since] - Skip messages older than this date.
+   * @param {Date|string|number} [options.until] - Skip messages newer than this date.
+   * @returns {import('stream').Readable} A stream of transcript text.
+   * @example
+   * channel.export({ format: 'html' }).pipe(fs.createWriteStream('transcript.html'));
+   */
+  export(options = {}) {
+    const { format, limit, since, until } = options;
+    const history = this.client.fetchMessageHistory(this.id, { limit, since, until });
+
+    return createTranscript(history, {
+      format,
+      title: this.name,
+      resolve: async (message) => {
+        if (!message.channel) message.channel = this;
+        if (!message.sticker && message.stickerId) {
+          message.sticker = await this.client.fetchSticker(message.stickerId).catch(() => null);
+        }
+      }
+    });
   }
 
   /**
@@ -124,7 +237,7 @@ class Channel {
    * @returns {MessageCollector} The created message collector.
    */
   createMessageCollector(options = {}) {
-    return new MessageCollector(this, options, client);
+    return new MessageCollector(this, options, this.client);
   }
 }
 
@@ -0,0 +1,181 @@
+const User = require('./User');
+const { userMention } = require('../helpers/Formatters');
+const { compareIds } = require('../helpers');
+
+/**
+ * @internal
+ */
+class ChannelMember {
+  /**
+   * Creates a new ChannelMember instance.
+   * @param {Object} data - Raw member data, the user fields plus the membership fields.
+   * @param {User|Object} [data.user] - The user, when it is not flattened into `data`.
+   * @param {string} [data.role='member'] - The role of the member in the channel.
+   * @param {string|Date} [data.joined_at] - When the member joined the channel.
+   * @param {import('./Channel')} channel - The channel the member belongs to.
+   * @returns {ChannelMember} The created ChannelMember instance.
+   * @example
+   * // channel.members.get(1)
+   * ChannelMember {
+   *   id: 1,
+   *   user: User { id: 1, username: 'junior9244', ... },
+   *   role: 'owner',
+   *   joinedAt: '2025-09-21T15:28:43.610Z'
+   * }
+   */
+  constructor(data, channel) {
+    /**
+     * The client that instantiated this member.
+     * @type {import('../Client')}
+     */
+    Object.defineProperty(this, 'client', { value: channel.client, writable: true });
+
+    /**
+     * The channel the member belongs to.
+     * @type {import('./Channel')}
+     */
+    Object.defineProperty(this, 'channel', { value: channel, writable: true });
+
+    this.user = ChannelMember._resolveUser(data.user ?? data, channel.client);
+    this.id = this.user.id;
+    this.role = data.role || 'member';
+    this.joinedAt = data.joined_at ?? null;
+  }
+
+  /**
+   * Turns raw user data into a cached User, keeping User instances as they are.
+   * @param {User|Object} user - The user or its raw data.
+   * @param {import('../Client')} client - The client instance.
+   * @returns {User}
+   * @private
+   */
+  static _resolveUser(user, client) {
+    if (user instanceof User) return user;
+    return client?.users ? client.users._add(user) : new User(user, client);
+  }
+
+  /**
+   * The username of the member.
+   * @type {string}
+   */
+  get username() {
+    return this.user.username;
+  }
+
+  /**
+   * The display name of the member.
+   * @type {string}
+   */
+  get displayName() {
+    return this.user.displayName;
+  }
+
+  /**
+   * The avatar URL of the member.
+   * @type {string}
+   */
+  get avatarUrl() {
+    return this.user.avatarUrl;
+  }
+
+  /**
+   * The status of the member.
+   * @type {string}
+   */
+  get status() {
+    return this.user.status;
+  }
+
+  /**
+   * Whether the member is a bot.
+   * @type {boolean}
+   */
+  get isBot() {
+    return this.user.isBot;
+  }
+
+  /**
+   * Whether the member owns the channel.
+   * @type {boolean}
+   */
+  get isOwner() {
+    return this.role === 'owner' || compareIds(this.channel.ownerId, this.id) === 0;
+  }
+
+  /**
+   * Whether the member is an admin of the channel. Owners count as admins.
+   * @type {boolean}
+   */
+  get isAdmin() {
+    return this.isOwner || this.role === 'admin';
+  }
+
+  /**
+   * The capabilities of the member in the channel.
+   * @type {import('./Permissions')}
+   */
+  get permissions() {
+    return this.channel.permissionsFor(this);
+  }
+
+  /**
+   * Returns the avatar URL of the member.
+   * @returns {string} The avatar URL.
+   */
+  avatarURL() {
+    return this.user.avatarURL();
+  }
+
+  /**
+   * Returns the mention of the member.
+   * @returns {string}
+   */
+  toString() {
+    return userMention(this);
+  }
+
+  /**
+   * Changes the role of the member.
+   * @param {string} role - The new role, e.g. `'moderator'`.
+   * @returns {Promise<ChannelMember>} This member.
+   * @example
+   * await member.setRole('moderator');
+   */
+  async setRole(role) {
+    await this.client.updateChannelMember(this.channel.id, this.id, { role });
+    this.role = role;
+    return this;
+  }
+
+  /**
+   * Removes the member from the channel.
+   * @returns {Promise<ChannelMember>} This member.
+   * @example
+   * await member.kick();
+   */
+  async kick() {
+    await this.client.removeChannelMember(this.channel.id, this.id);
+
+    if (this.channel.members.delete(this.id) && this.channel.memberCount > 0) {
+      this.channel.memberCount -= 1;
+    }
+    return this;
+  }
+
+  /**
+   * Updates the member in place from raw data.
+   * @param {Object} data - Raw member data.
+   * @returns {ChannelMember} This member.
+   * @private
+   */
+  _patch(data) {
+    if (data.user || 'username' in data) {
+      this.user = ChannelMember._resolveUser(data.user ?? data, this.client);
+    }
+    if ('role' in data && data.role) this.role = data.role;
+    if ('joined_at' in data) this.joinedAt = data.joined_at;
+    return this;
+  }
+}
+
+module.exports = ChannelMember;
@@ -0,0 +1,606 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const Collection = require('@discordjs/collection').Collection;
+const { ValidationError, PermissionError } = require('../helpers/Errors');
+const { compareIds } = require('../helpers');
+
+const USER_MENTION = /^<@!?(\d+)>$/;
+const CHANNEL_MENTION = /^<#(\d+)>$/;
+
+/**
+ * @typedef {Object} CommandArgument
+ * @property {string} name - Name of the argument, used as key in the parsed args.
+ * @property {'string'|'number'|'integer'|'user'|'channel'|'rest'} [type='string'] - How the argument is parsed.
+ * @property {boolean} [required=true] - Whether the command fails without it.
+ * @property {*} [default] - Value used when an optional argument is missing.
+ */
+
+/**
+ * @typedef {Object} Command
+ * @property {string} name - Command name, without prefix.
+ * @property {string[]} [aliases] - Other names that trigger the command.
+ * @property {string} [description] - Short description shown in the help command.
+ * @property {string} [usage] - Usage text shown in the help command and argument errors.
+ * @property {CommandArgument[]} [args] - Argument definitions. Without them, args are the raw tokens.
+ * @property {number|{user?: number, channel?: number}} [cooldown] - Cooldown in ms, per user by default.
+ * @property {boolean} [hidden=false] - Hides the command from the help command.
+ * @property {string|string[]} [permissions] - Capabilities the author needs in the channel, e.g. `'KICK_MEMBERS'`.
+ * @property {string|string[]} [clientPermissions] - Capabilities the bot needs in the channel.
+ * @property {function(import('./Message'), Object|string[], Object): *} run - Runs the command.
+ */
+
+/**
+ * @internal
+ * Parses prefixed messages into commands with typed arguments and cooldowns.
+ */
+class CommandHandler extends EventEmitter {
+  /**
+   * Creates a new CommandHandler and starts listening to `messageCreate`.
+   *
+   * @param {import('../Client')} client - The client to listen on.
+   * @param {Object} [options={}] - Handler options.
+   * @param {string|string[]|function(import('./Message')): (string|string[]|Promise<string|string[]>)} [options.prefix='!'] - Default prefix, several prefixes, or a resolver.
+   * @param {Object<string, string|string[]>} [options.channelPrefixes] - Prefix overrides keyed by channel ID.
+   * @param {boolean} [options.ignoreBots=true] - Ignores messages written by bots.
+   * @param {boolean} [options.caseSensitive=false] - Whether command names are case sensitive.
+   * @param {boolean} [options.helpCommand=true] - Registers a generated `help` command.
+   * @param {boolean} [options.replyOnError=true] - Replies with the error when arguments are invalid or a cooldown is active.
+   *
+   * @example
+   * client.commands.register({
+   *   name: 'ban',
+   *   aliases: ['b'],
+   *   args: [{ name: 'user', type: 'user' }, { name: 'reason', type: 'rest', required: false }],
+   *   cooldown: 5000,
+   *   run: (msg, { user, reason }) => msg.reply(`Banning ${user.username}: ${reason || 'no reason'}`)
+   * });
+   */
+  constructor(client, options = {}) {
+    super();
+
+    this.client = client;
+    this.prefix = options.prefix ?? '!';
+    this.ignoreBots = options.ignoreBots ?? true;
+    this.caseSensitive = options.caseSensitive ?? false;
+    this.replyOnError = options.replyOnError ?? true;
+
+    /**
+     * Prefix overrides keyed by channel ID.
+     * @type {Map<string, string|string[]>}
+     */
+    this.channelPrefixes = new Map(Object.entries(options.channelPrefixes || {}));
+
+    /**
+     * Registered commands keyed by name.
+     * @type {Collection<string, Command>}
+     */
+    this.commands = new Collection();
+
+    /**
+     * Alias to command name lookup.
+     * @type {Map<string, string>}
+     */
+    this.aliases = new Map();
+
+    /**
+     * Cooldown expiry timestamps keyed by `command:scope:id`.
+     * @type {Map<string, number>}
+     */
+    this.cooldowns = new Map();
+
+    this._handleMessage = this._handleMessage.bind(this);
+    this.client.on('messageCreate', this._handleMessage);
+
+    if (options.helpCommand ?? true) {
+      this.register(this._createHelpCommand());
+    }
+  }
+
+  /**
+   * Registers a command.
+   * @param {Command} command - The command to register.
+   * @returns {CommandHandler}
+   */
+  register(command) {
+    if (!command || typeof command.name !== 'string' || command.name.trim() === '') {
+      throw new ValidationError('Command name is required', 'INVALID_COMMAND');
+    }
+    if (typeof command.run !== 'function') {
+      throw new ValidationError(`Command "${command.name}" must have a run function`, 'INVALID_COMMAND');
+    }
+
+    const name = this._normalize(command.name);
+    this.unregister(name);
+    this.commands.set(name, command);
+
+    for (const alias of command.aliases || []) {
+      this.aliases.set(this._normalize(alias), name);
+    }
+
+    return this;
+  }
+
+  /**
+   * Removes a command and its aliases.
+   * @param {string} name - Name of the command.
+   * @returns {boolean} Whether a command was removed.
+   */
+  unregister(name) {
+    const key = this._normalize(name);
+    if (!this.commands.has(key)) return false;
+
+    for (const [alias, target] of this.aliases) {
+      if (target === key) this.aliases.delete(alias);
+    }
+
+    return this.commands.delete(key);
+  }
+
+  /**
+   * Finds a command by name or alias.
+   * @param {string} name - Name or alias.
+   * @returns {Command|undefined}
+   */
+  get(name) {
+    const key = this._normalize(name);
+    return this.commands.get(key) || this.commands.get(this.aliases.get(key));
+  }
+
+  /**
+   * Loads every `.js` file of a directory, recursively, as a command module.
+   * A module can export a command or an array of commands.
+   * @param {string} directory - Directory to load commands from.
+   * @returns {Command[]} The loaded commands.
+   * @example
+   * client.commands.loadDirectory(path.join(__dirname, 'commands'));
+   */
+  loadDirectory(directory) {
+    const loaded = [];
+
+    for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+      const fullPath = path.resolve(directory, entry.name);
+
+      if (entry.isDirectory()) {
+        loaded.push(...this.loadDirectory(fullPath));
+      } else if (entry.isFile() && entry.name.endsWith('.js')) {
+        delete require.cache[require.resolve(fullPath)];
+        const exported = require(fullPath);
+        const commands = Array.isArray(exported) ? exported : [exported];
+
+        for (const command of commands) {
+          this.register(command);
+          loaded.push(command);
+        }
+      }
+    }
+
+    return loaded;
+  }
+
+  /**
+   * Sets or removes the prefix override of a channel.
+   * @param {string} channelId - Channel ID.
+   * @param {string|string[]|null} prefix - The prefix, or null to use the default again.
+   * @returns {CommandHandler}
+   */
+  setPrefix(channelId, prefix) {
+    if (prefix === null || prefix === undefined) {
+      this.channelPrefixes.delete(String(channelId));
+    } else {
+      this.channelPrefixes.set(String(channelId), prefix);
+    }
+    return this;
+  }
+
+  /**
+   * Resolves the prefixes that apply to a message.
+   * @param {import('./Message')} message - The message.
+   * @returns {Promise<string[]>}
+   */
+  async resolvePrefixes(message) {
+    const channelId = message.channel ? String(message.channel.id) : null;
+    let prefix = channelId && this.channelPrefixes.has(channelId)
+      ? this.channelPrefixes.get(channelId)
+      : this.prefix;
+
+    if (typeof prefix === 'function') {
+      prefix = await prefix(message);
+    }
+
+    return (Array.isArray(prefix) ? prefix : [prefix]).filter(p => typeof p === 'string' && p.length > 0);
+  }
+
+  /**
+   * Splits a string into arguments, keeping quoted text together.
+   * @param {string} input - The text after the command name.
+   * @returns {string[]}
+   * @example
+   * CommandHandler.tokenize('say "hello world" now'); // ['say', 'hello world', 'now']
+   */
+  static tokenize(input) {
+    const tokens = [];
+    const regex = /"((?:\\.|[^"\\])*)"|'((?:\\.|[^'\\])*)'|(\S+)/g;
+    let match;
+
+    while ((match = regex.exec(input)) !== null) {
+      const quoted = match[1] ?? match[2];
+      tokens.push(quoted !== undefined ? quoted.replace(/\\(["'\\])/g, '$1') : match[3]);
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Parses raw text into the arguments of a command.
+   * @param {Command} command - The command.
+   * @param {string} input - The text after the command name.
+   * @param {import('./Message')} message - The message that triggered the command.
+   * @returns {Promise<Object|string[]>} Parsed args keyed by name, or raw tokens when the command has no definitions.
+   */
+  async parseArgs(command, input, message) {
+    const tokens = CommandHandler.tokenize(input);
+    if (!Array.isArray(command.args)) return tokens;
+
+    const args = {};
+    let index = 0;
+
+    for (const def of command.args) {
+      const type = def.type || 'string';
+      const required = def.required ?? true;
+      let raw;
+
+      if (type === 'rest') {
+        raw = this._restOf(input, index);
+        index = tokens.length;
+      } else {
+        raw = tokens[index++];
+      }
+
+      if (raw === undefined || raw === '') {
+        if (required) {
+          throw new ValidationError(`Missing argument: ${def.name}`, 'MISSING_ARGUMENT');
+        }
+        args[def.name] = def.default ?? null;
+        continue;
+      }
+
+      args[def.name] = await this._parseArg(type, raw, def, message);
+    }
+
+    return args;
+  }
+
+  /**
+   * Checks the `permissions` and `clientPermissions` of a command in the channel of a message.
+   * @param {Command} command - The command.
+   * @param {import('./Message')} message - The message that triggered it.
+   * @returns {Promise<void>}
+   * @throws {PermissionError} With code `MISSING_PERMISSIONS` when a capability is missing.
+   */
+  async checkPermissions(command, message) {
+    const channel = message.channel;
+    if (!channel || (!command.permissions && !command.clientPermissions)) return;
+
+    // With `hydrateMembers` off, message events are checked against the cached members only
+    const hydrate = this.client.config?.hydrateMembers ?? true;
+    const permissionsFor = (user) => (hydrate ? channel.fetchPermissionsFor(user) : channel.permissionsFor(user));
+
+    if (command.permissions && message.author) {
+      const permissions = await permissionsFor(message.author);
+      permissions.assert(command.permissions, missing => `You need ${missing.join(', ')} to use \`${command.name}\`.`);
+    }
+
+    if (command.clientPermissions && this.client.user) {
+      const permissions = await permissionsFor(this.client.user);
+      permissions.assert(command.clientPermissions, missing => `I need ${missing.join(', ')} to run \`${command.name}\`.`);
+    }
+  }
+
+  /**
+   * Returns the remaining cooldown of a command for a message, in ms.
+   * @param {Command} command - The command.
+   * @param {import('./Message')} message - The message.
+   * @returns {number} Milliseconds left, 0 when the command can run.
+   */
+  getCooldown(command, message) {
+    const now = Date.now();
+    let remaining = 0;
+
+    for (const [scope, id] of this._cooldownScopes(command, message)) {
+      const expiresAt = this.cooldowns.get(`${this._normalize(command.name)}:${scope}:${id}`);
+      if (expiresAt && expiresAt > now) {
+        remaining = Math.max(remaining, expiresAt - now);
+      }
+    }
+
+    return remaining;
+  }
+
+  /**
+   * Stops listening to messages.
+   * @returns {void}
+   */
+  destroy() {
+    this.client.removeListener('messageCreate', this._handleMessage);
+    this.cooldowns.clear();
+  }
+
+  /**
+   * Internal handler for incoming messages.
+   * @param {import('./Message')} message - The message received.
+   * @private
+   */
+  async _handleMessage(message) {
+    if (this.commands.size === 0 || typeof message.content !== 'string') return;
+    if (this.ignoreBots && message.author && message.author.isBot) return;
+    if (message.author && this.client.user && compareIds(message.author.id, this.client.user.id) === 0) return;
+
+    let context;
+
+    try {
+      const prefixes = await this.resolvePrefixes(message);
+      const prefix = prefixes.find(p => message.content.startsWith(p));
+      if (!prefix) return;
+
+      const body = message.content.slice(prefix.length).trimStart();
+      const [name] = body.split(/\s+/, 1);
+      if (!name) return;
+
+      const input = body.slice(name.length).trim();
+      const command = this.get(name);
+
+      if (!command) {
+        /**
+         * @event CommandHandler#unknownCommand
+         */
+        this.emit('unknownCommand', message, name, prefix);
+        return;
+      }
+
+      context = { command, prefix, alias: name, input, handler: this, client: this.client };
+
+      await this.checkPermissions(command, message);
+
+      const remaining = this.getCooldown(command, message);
+      if (remaining > 0) {
+        /**
+         * @event CommandHandler#cooldown
+         */
+        this.emit('cooldown', message, command, remaining);
+        if (this.replyOnError) {
+          await message.reply(`Please wait ${Math.ceil(remaining / 1000)}s before using \`${command.name}\` again.`);
+        }
+        return;
+      }
+
+      const args = await this.parseArgs(command, input, message);
+      this._startCooldown(command, message);
+
+      await command.run(message, args, context);
+
+      /**
+       * @event CommandHandler#commandRun
+       */
+      this.emit('commandRun', message, command, args);
+    } catch (error) {
+      this._handleError(error, message, context);
+    }
+  }
+
+  /**
+   * Reports a command failure through `commandError`, or the client when nobody listens.
+   * @private
+   */
+  _handleError(error, message, context = {}) {
+    if (this.listenerCount('commandError') > 0) {
+      /**
+       * @event CommandHandler#commandError
+       */
+      this.emit('commandError', error, message, context.command);
+      return;
+    }
+
+    if (error instanceof ValidationError && this.replyOnError && context.command) {
+      const usage = context.command.usage ? `\nUsage: ${context.prefix}${context.command.name} ${context.command.usage}` : '';
+      message.reply(`${error.message}${usage}`).catch(err => this._emitError(err));
+      return;
+    }
+
+    if (error instanceof PermissionError && error.code === 'MISSING_PERMISSIONS' && this.replyOnError && context.command) {
+      message.reply(error.message).catch(err => this._emitError(err));
+      return;
+    }
+
+    this._emitError(error);
+  }
+
+  /**
+   * Emits an error on the client, or logs it when nothing listens:
+   * an `error` event without listeners would throw out of the message handler.
+   * @private
+   */
+  _emitError(error) {
+    if (this.client.listenerCount('error') > 0) {
+      this.client.emit('error', error);
+    } else {
+      console.error('Unhandled command error:', error);
+    }
+  }
+
+  /**
+   * Parses one argument according to its type.
+   * @private
+   */
+  async _parseArg(type, raw, def, message) {
+    switch (type) {
+      case 'string':
+      case 'rest':
+        return raw;
+
+      case 'number':
+      case 'integer': {
+        const value = Number(raw);
+        if (!Number.isFinite(value) || (type === 'integer' && !Number.isInteger(value))) {
+          throw new ValidationError(`Argument ${def.name} must be ${type === 'integer' ? 'an integer' : 'a number'}`, 'INVALID_ARGUMENT');
+        }
+        return value;
+      }
+
+      case 'user': {
+        const id = (raw.match(USER_MENTION) || [])[1] || (/^\d+$/.test(raw) ? raw : null);
+        if (id) {
+          const user = message.mentions?.users.find(u => compareIds(u.id, id) === 0)
+            || await this.client.fetchUser(id).catch(() => null);
+          if (user) return user;
+        } else {
+          const name = raw.replace(/^@/, '').toLowerCase();
+          const members = message.channel ? message.channel.members.map(member => member.user) : [];
+          const user = [...members, ...this.client.cache.users.values()]
+            .find(u => u.username && u.username.toLowerCase() === name);
+          if (user) return user;
+        }
+        throw new ValidationError(`Argument ${def.name} must be a user`, 'INVALID_ARGUMENT');
+      }
+
+      case 'channel': {
+        const id = (raw.match(CHANNEL_MENTION) || [])[1] || (/^\d+$/.test(raw) ? raw : null);
+        const channel = id
+          ? message.mentions?.channels.find(c => compareIds(c.id, id) === 0) || await this.client.fetchChannel(id).catch(() => null)
+          : null;
+        if (!channel) {
+          throw new ValidationError(`Argument ${def.name} must be a channel`, 'INVALID_ARGUMENT');
+        }
+        return channel;
+      }
+
+      default:
+        throw new ValidationError(`Unknown argument type: ${type}`, 'INVALID_ARGUMENT_TYPE');
+    }
+  }
+
+  /**
+   * Returns the input starting at the given token, keeping its original spacing and quotes.
+   * @private
+   */
+  _restOf(input, index) {
+    const regex = /"(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'|\S+/g;
+    let match;
+    let count = 0;
+
+    while ((match = regex.exec(input)) !== null) {
+      if (count++ === index) return input.slice(match.index).trim();
+    }
+
+    return '';
+  }
+
+  /**
+   * Lists the `[scope, id]` pairs a command's cooldown applies to.
+   * @private
+   */
+  _cooldownScopes(command, message) {
+    const cooldown = command.cooldown;
+    if (!cooldown) return [];
+
+    const scopes = [];
+    const userCooldown = typeof cooldown === 'number' ? cooldown : cooldown.user;
+    const channelCooldown = typeof cooldown === 'number' ? 0 : cooldown.channel;
+
+    if (userCooldown && message.author) scopes.push(['user', message.author.id, userCooldown]);
+    if (channelCooldown && message.channel) scopes.push(['channel', message.channel.id, channelCooldown]);
+
+    return scopes;
+  }
+
+  /**
+   * Starts the cooldowns of a command and sweeps expired entries.
+   * @private
+   */
+  _startCooldown(command, message) {
+    const now = Date.now();
+
+    for (const [key, expiresAt] of this.cooldowns) {
+      if (expiresAt <= now) this.cooldowns.delete(key);
+    }
+
+    for (const [scope, id, duration] of this._cooldownScopes(command, message)) {
+      this.cooldowns.set(`${this._normalize(command.name)}:${scope}:${id}`, now + duration);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _normalize(name) {
+    return this.caseSensitive ? String(name) : String(name).toLowerCase();
+  }
+
+  /**
+   * Builds the generated `help` command.
+   * @private
+   */
+  _createHelpCommand() {
+    return {
+      name: 'help',
+      aliases: ['commands'],
+      description: 'Lists commands or shows details about one',
+      usage: '[command]',
+      args: [{ name: 'command', type: 'string', required: false }],
+      run: (message, args, { prefix }) => {
+        if (args.command) {
+          const command = this.get(args.command);
+          if (!command || command.hidden) {
+            return message.reply(`Unknown command: ${args.command}`);
+          }
+
+          const lines = [`**${prefix}${command.name}**`];
+          if (command.description) lines.push(command.description);
+          if (command.usage) lines.push(`Usage: ${prefix}${command.name} ${command.usage}`);
+          if (command.aliases && command.aliases.length > 0) lines.push(`Aliases: ${command.aliases.join(', ')}`);
+          return message.reply(lines.join('\n'));
+        }
+
+        const lines = this.commands
+          .filter(command => !command.hidden)
+          .map(command => `**${prefix}${command.name}**${command.description ? ` - ${command.description}` : ''}`);
+
+        return message.reply(lines.join('\n'));
+      }
+    };
+  }
+}
+
+/**
+ * Emitted after a command ran successfully.
+ * @event CommandHandler#commandRun
+ * @param {Message} message - The message that triggered the command.
+ * @param {Command} command - The command.
+ * @param {Object|string[]} args - The parsed arguments.
+ */
+
+/**
+ * Emitted when a command throws or its arguments are invalid.
+ * @event CommandHandler#commandError
+ * @param {Error} error - The error.
+ * @param {Message} message - The message that triggered the command.
+ * @param {Command} [command] - The command, when one was found.
+ */
+
+/**
+ * Emitted when a prefixed message does not match any command.
+ * @event CommandHandler#unknownCommand
+ * @param {Message} message - The message.
+ * @param {string} name - The name that was typed.
+ * @param {string} prefix - The prefix that was used.
+ */
+
+/**
+ * Emitted when a command is used during its cooldown.
+ * @event CommandHandler#cooldown
+ * @param {Message} message - The message.
+ * @param {Command} command - The command.
+ * @param {number} remaining - Milliseconds left.
+ */
+
+module.exports = CommandHandler;
@@ -1,4 +1,5 @@
 const { formatUrl } = require("../helpers");
+const { formatEmoji } = require("../helpers/Formatters");
 
 /**
  * @internal
@@ -12,6 +13,7 @@ class Emoji {
      * @param {string} data.name - The name of the emoji.
      * @param {string} data.url - The URL of the emoji image.
      * @param {string|number|Date} data.created_at - Timestamp when the emoji was created.
+     * @param {import('../Client')} [clientInstance] - The client instance.
      * @returns {Emoji} The created Emoji instance.
      * @example 
      * Emoji {
@@ -23,7 +25,7 @@ class Emoji {
      * }
      * 
      */
-    constructor(data) {
+    constructor(data, clientInstance) {
         /**
          * The unique ID of the emoji.
          * @type {string|number}
@@ -46,7 +48,7 @@ class Emoji {
          * The URL of the emoji image.
          * @type {string}
          */
-        this.url = formatUrl(data.url);
+        this.url = formatUrl(data.url, clientInstance?.cdnUrl);
 
         /**
          * Timestamp when the emoji was created.
@@ -54,6 +56,16 @@ class Emoji {
          */
         this.createdAt = data.created_at;
     }
+
+    /**
+     * Returns the markup of the emoji, so it can be used in message templates.
+     * @returns {string}
+     * @example
+     * channel.send(`Nice ${emoji}`); // "Nice <:shitcord:1>"
+     */
+    toString() {
+        return formatEmoji(this);
+    }
 }
 
 module.exports = Emoji;
\ No newline at end of file
@@ -1,8 +1,10 @@
 const User = require("./User");
 const Channel = require("./Channel");
-const { formatUrl } = require('../helpers/index');
-
-let client;
+const MessageMentions = require("./MessageMentions");
+const Attachment = require("./Attachment");
+const Sticker = require("./Sticker");
+const { MessageEmbed } = require("./Util");
+const { formatUrl, cloneStructure } = require('../helpers/index');
 
 /**
  * @internal
@@ -17,12 +19,17 @@ class Message {
    * @param {string} [data.file_url] - URL of the attached file.
    * @param {string} [data.file_name] - Name of the attached file.
    * @param {number} [data.file_size] - Size of the attached file in bytes.
+   * @param {string} [data.file_type] - MIME type of the attached file.
+   * @param {Object[]} [data.attachments] - Attached files, when the message has several.
    * @param {Object} [data.user] - Author user data.
    * @param {Object} [data.channel] - Channel data where the message was sent.
    * @param {string|number} [data.reply_to] - ID of the message this is replying to.
    * @param {Object} [data.sticker] - Sticker object attached to the message.
+   * @param {string|number} [data.sticker_id] - ID of the sticker attached to the message.
+   * @param {Object|Object[]|string} [data.embed_data] - Embeds attached to the message.
    * @param {string|number|Date} [data.edited_at] - Timestamp when the message was edited.
    * @param {string|number|Date} [data.created_at] - Timestamp when the message was created.
+   * @param {string} [data.nonce] - Nonce the sender attached to the message.
    * @param {Object} clientInstance - The client instance.
    * @returns {Message} The created Message instance.
    * @example
@@ -37,13 +44,17 @@ class Message {
    *   replyTo: 20709,
    *   editedAt: null,
    *   createdAt: '2025-11-16T14:29:40.598Z',
-   *   sticker: {
+   *   nonce: null,
+   *   embeds: [],
+   *   stickerId: 1,
+   *   sticker: Sticker {
    *     id: 1,
+   *     userId: 2,
    *     name: 'carrin',
-   *     url: '/uploads/stickers/1758986081574-510376341.gif',
+   *     url: 'https://api.beniocord.site/uploads/stickers/1758986081574-510376341.gif',
    *     tags: [],
-   *     user_id: 2,
-   *     owner: 'kkauabr'
+   *     createdAt: undefined,
+   *     updatedAt: undefined
    *   },
    *   author: User {
    *     id: 1,
@@ -68,50 +79,140 @@ class Message {
    *     memberCount: 8,
    *     createdAt: '2025-09-21T15:28:43.610Z',
    *     updatedAt: '2025-11-11T23:49:54.906Z',
-   *     members: Collection(0) [Map] { fetch: [AsyncFunction (anonymous)] },
+   *     members: ChannelMemberManager(0) [Map] {},
    *     messages: Collection(0) [Map] { fetch: [AsyncFunction (anonymous)] }
    *   }
    * }
    */
   constructor(data, clientInstance) {
+    /**
+     * The client that instantiated this message.
+     * @type {import('../Client')}
+     */
+    Object.defineProperty(this, 'client', { value: clientInstance, writable: true });
+
     this.id = data.id;
     this.content = data.content;
     this.messageType = data.message_type || "text";
-    this.fileUrl = formatUrl(data.file_url);
+    this.fileUrl = formatUrl(data.file_url, clientInstance?.cdnUrl);
     this.fileName = data.file_name;
     this.fileSize = data.file_size;
-    this.attachments = [];
+    this.attachments = Message._parseAttachments(data, clientInstance);
     this.replyTo = data.reply_to;
     this.editedAt = data.edited_at;
     this.createdAt = data.created_at;
+    this.nonce = data.nonce ?? null;
+    this.embeds = Message._parseEmbeds(data.embed_data).map(embed => MessageEmbed.fromJSON(embed));
 
-    this.sticker = null;
-
-    if (data.file_url) {
-      this.attachments.push({
-        url: this.fileUrl,
-        name: this.fileName,
-        size: this.fileSize,
-      });
-    }
+    this.stickerId = data.sticker_id ?? data.sticker?.id ?? null;
+    this.sticker = data.sticker ? Message._resolveSticker(data.sticker, clientInstance) : null;
 
     this.author = data.user ? new User(data.user, clientInstance) : null;
     this.channel = data.channel ? new Channel(data.channel, clientInstance) : null;
-    client = clientInstance;
+
+    /**
+     * The users, channels and emojis mentioned in the content.
+     * @type {MessageMentions}
+     */
+    this.mentions = new MessageMentions(this);
+  }
+
+  /**
+   * The content with mentions replaced by readable names, e.g. `<@42>` by `@Junior`.
+   * @type {string}
+   * @example
+   * // content: 'Hi <@1>, see <#2>'
+   * msg.cleanContent; // 'Hi @Junior, see #Privado'
+   */
+  get cleanContent() {
+    return typeof this.content === 'string' ? this.mentions._clean(this.content) : this.content;
+  }
+
+  /**
+   * Reads the `embed_data` of a raw message, which may arrive as a JSON string.
+   * @param {Object|Object[]|string|null} embedData - Raw embed data.
+   * @returns {Object[]} The embeds.
+   * @private
+   */
+  static _parseEmbeds(embedData) {
+    if (!embedData) return [];
+
+    if (typeof embedData === 'string') {
+      try {
+        embedData = JSON.parse(embedData);
+      } catch (_) {
+        return [];
+      }
+    }
+
+    return Array.isArray(embedData) ? embedData : [embedData];
+  }
+
+  /**
+   * Builds the attachments of a raw message, from `attachments` or its single `file_url`.
+   * @param {Object} data - Raw message data.
+   * @param {import('../Client')} [client] - The client instance.
+   * @returns {Attachment[]} The attachments.
+   * @private
+   */
+  static _parseAttachments(data, client) {
+    if (Array.isArray(data.attachments) && data.attachments.length > 0) {
+      return data.attachments.map(attachment => new Attachment(attachment, client));
+    }
+
+    if (!data.file_url) return [];
+
+    return [new Attachment({
+      url: data.file_url,
+      name: data.file_name,
+      size: data.file_size,
+      content_type: data.file_type,
+      width: data.file_width,
+      height: data.file_height,
+    }, client)];
+  }
+
+  /**
+   * Turns raw sticker data into a cached Sticker, keeping Sticker instances as they are.
+   * @param {Sticker|Object} sticker - The sticker or its raw data.
+   * @param {import('../Client')} [client] - The client instance.
+   * @returns {Sticker}
+   * @private
+   */
+  static _resolveSticker(sticker, client) {
+    if (sticker instanceof Sticker) return sticker;
+    return client?.stickers ? client.stickers._add(sticker) : new Sticker(sticker, client);
+  }
+
+  /**
+   * Creates a snapshot of this message, e.g. to keep its state before an edit.
+   * @returns {Message}
+   * @private
+   */
+  _clone() {
+    return cloneStructure(this, {
+      attachments: attachments => attachments.map(attachment => cloneStructure(attachment)),
+      embeds: embeds => embeds.map(embed => MessageEmbed.fromJSON(embed)),
+      mentions: (mentions, clone) => {
+        const copy = new MessageMentions(clone);
+        for (const key of ['users', 'channels', 'emojis']) copy[key] = mentions[key].clone();
+        return copy;
+      },
+    });
   }
 
   /**
    * Replies to this message.
-   * @param {string} content - Content of the reply.
+   * @param {string|import('./Util').MessageEmbed|import('./MessagePayload')|Object} content - Content of the reply, an embed, a payload or options.
    * @param {Object} [opts={}] - Additional options for the reply.
-   * @returns {Promise<Message>} The sent reply message.
+   * @returns {Promise<Message|Message[]>} The sent reply message, or every part when `opts.split` is set.
    *
    * @example
    * // Replying to a message
    * await msg.reply("Thanks for your message!");
    */
   async reply(content, opts = {}) {
-    return client.sendMessage(this.channel.id, content, {
+    return this.client.sendMessage(this.channel.id, content, {
       replyTo: this.id,
       ...opts
     });
@@ -119,7 +220,7 @@ class Message {
 
   /**
    * Edits this message.
-   * @param {string} content - New content for the message.
+   * @param {string|import('./MessagePayload')|Object} content - New content for the message, or a payload with it.
    * @returns {Promise<Message>} The edited message.
    *
    * @example
@@ -127,7 +228,7 @@ class Message {
    * await msg.edit("Updated content!");
    */
   async edit(content) {
-    return client.editMessage(this.id, content);
+    return this.client.editMessage(this.id, content);
   }
 
   /**
@@ -139,7 +240,7 @@ class Message {
    * await msg.delete();
    */
   async delete() {
-    return client.deleteMessage(this.id);
+    return this.client.deleteMessage(this.id);
   }
 }
 
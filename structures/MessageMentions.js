@@ -0,0 +1,211 @@
+const Collection = require('@discordjs/collection').Collection;
+const Channel = require('./Channel');
+
+/**
+ * Mention syntax of message content, with the ID (and emoji name) as capture groups.
+ * @type {{USERS: RegExp, CHANNELS: RegExp, EMOJIS: RegExp}}
+ */
+const PATTERNS = {
+  USERS: /<@!?(\d+)>/g,
+  CHANNELS: /<#(\d+)>/g,
+  EMOJIS: /<a?:(\w+):(\d+)>/g,
+};
+
+/**
+ * @internal
+ * The users, channels and emojis mentioned in a message.
+ * @example
+ * // "!ban <@42> spamming in <#7>"
+ * msg.mentions.users.first();   // User { id: 42, ... }
+ * msg.mentions.channels.first(); // Channel { id: 7, ... }
+ * msg.mentions.has(client.user); // false
+ */
+class MessageMentions {
+  /**
+   * Parses the mentions of a message, resolving them from the client cache.
+   * @param {import('./Message')} message - The message.
+   */
+  constructor(message) {
+    /**
+     * The message the mentions belong to.
+     * @type {import('./Message')}
+     */
+    Object.defineProperty(this, 'message', { value: message });
+
+    const content = typeof message.content === 'string' ? message.content : '';
+
+    /**
+     * IDs of the mentioned users, in order of appearance.
+     * @type {string[]}
+     */
+    this.userIds = MessageMentions._unique(content, PATTERNS.USERS);
+
+    /**
+     * IDs of the mentioned channels, in order of appearance.
+     * @type {string[]}
+     */
+    this.channelIds = MessageMentions._unique(content, PATTERNS.CHANNELS);
+
+    /**
+     * IDs of the mentioned emojis, in order of appearance.
+     * @type {string[]}
+     */
+    this.emojiIds = MessageMentions._unique(content, PATTERNS.EMOJIS, 2);
+
+    /**
+     * The mentioned users that could be resolved, keyed by ID.
+     * @type {Collection<string|number, import('./User')>}
+     */
+    this.users = new Collection();
+
+    /**
+     * The mentioned channels that could be resolved, keyed by ID.
+     * @type {Collection<string|number, import('./Channel')>}
+     */
+    this.channels = new Collection();
+
+    /**
+     * The mentioned custom emojis that could be resolved, keyed by ID.
+     * @type {Collection<string|number, import('./Emoji')>}
+     */
+    this.emojis = new Collection();
+
+    this._resolveCached();
+  }
+
+  /**
+   * Mention syntax of message content.
+   * @type {{USERS: RegExp, CHANNELS: RegExp, EMOJIS: RegExp}}
+   */
+  static get PATTERNS() {
+    return PATTERNS;
+  }
+
+  /**
+   * The client of the message.
+   * @type {import('../Client')}
+   */
+  get client() {
+    return this.message.client;
+  }
+
+  /**
+   * Checks whether a user or channel is mentioned.
+   * @param {string|number|Object} target - A user, member, channel or ID.
+   * @returns {boolean}
+   * @example
+   * if (msg.mentions.has(client.user)) msg.reply('You called?');
+   */
+  has(target) {
+    const id = typeof target === 'object' && target !== null ? target.id : target;
+    if (id === undefined || id === null) return false;
+
+    // Users and channels share the ID space, so channels only match when passed as channels
+    return target instanceof Channel
+      ? this.channelIds.includes(String(id))
+      : this.userIds.includes(String(id));
+  }
+
+  /**
+   * Fetches the mentioned users, channels and emojis that are not cached, in as few requests as possible.
+   * Mentions that cannot be fetched are left out.
+   * @returns {Promise<MessageMentions>} These mentions.
+   */
+  async fetch() {
+    const client = this.client;
+    if (!client) return this;
+
+    const fetchMissing = (ids, target, manager) => {
+      const missing = ids.filter(id => !MessageMentions._find(target, id));
+      if (missing.length === 0) return null;
+
+      return manager.fetchMany(missing)
+        .then(found => {
+          for (const value of found.values()) target.set(value.id, value);
+        })
+        .catch(() => null);
+    };
+
+    await Promise.all([
+      fetchMissing(this.userIds, this.users, client.users),
+      fetchMissing(this.channelIds, this.channels, client.channels),
+      fetchMissing(this.emojiIds, this.emojis, client.emojis),
+    ]);
+
+    this._sort();
+    return this;
+  }
+
+  /**
+   * Replaces mentions in a text with readable names.
+   * @param {string} content - The text.
+   * @returns {string}
+   * @private
+   */
+  _clean(content) {
+    return content
+      .replace(PATTERNS.USERS, (match, id) => {
+        const user = MessageMentions._find(this.users, id);
+        return user ? `@${user.displayName || user.username}` : match;
+      })
+      .replace(PATTERNS.CHANNELS, (match, id) => {
+        const channel = MessageMentions._find(this.channels, id);
+        return channel ? `#${channel.name}` : match;
+      })
+      .replace(PATTERNS.EMOJIS, (match, name) => `:${name}:`);
+  }
+
+  /**
+   * Fills the collections from the client cache.
+   * @private
+   */
+  _resolveCached() {
+    const cache = this.client?.cache;
+    if (!cache) return;
+
+    for (const [ids, store, target] of [
+      [this.userIds, cache.users, this.users],
+      [this.channelIds, cache.channels, this.channels],
+      [this.emojiIds, cache.emojis, this.emojis],
+    ]) {
+      for (const id of ids) {
+        const value = store?.get(id) ?? store?.get(Number(id));
+        if (value) target.set(value.id, value);
+      }
+    }
+  }
+
+  /**
+   * Keeps the collections in order of appearance after fetching.
+   * @private
+   */
+  _sort() {
+    for (const [ids, target] of [
+      [this.userIds, this.users],
+      [this.channelIds, this.channels],
+      [this.emojiIds, this.emojis],
+    ]) {
+      const values = ids.map(id => MessageMentions._find(target, id)).filter(Boolean);
+      target.clear();
+      for (const value of values) target.set(value.id, value);
+    }
+  }
+
+  /**
+   * Finds a value by the string form of its ID.
+   * @private
+   */
+  static _find(collection, id) {
+    return collection.find(value => String(value.id) === id);
+  }
+
+  /**
+   * Collects the unique IDs matched by a pattern.
+   * @private
+   */
+  static _unique(content, pattern, group = 1) {
+    return [...new Set([...content.matchAll(pattern)].map(match => match[group]))];
+  }
+}
+
+module.exports = MessageMentions;
@@ -0,0 +1,247 @@
+const { MessageEmbed, MessageAttachment } = require('./Util');
+const { ValidationError } = require('../helpers/Errors');
+const { splitMessage, MAX_MESSAGE_LENGTH } = require('../helpers');
+
+/**
+ * @internal
+ * Normalizes every way of describing a message into one set of options, validates them,
+ * and builds the body the API expects. Accepted by `channel.send`, `message.reply` and `message.edit`.
+ * @example
+ * const payload = MessagePayload.create('Report attached', { file: './report.pdf' });
+ * await channel.send(payload);
+ * @example
+ * // Every input shape below gives the same options
+ * MessagePayload.create(embed);
+ * MessagePayload.create({ embeds: [embed] });
+ * MessagePayload.create('', { embed });
+ */
+class MessagePayload {
+  /**
+   * Creates a new MessagePayload from already normalized options. Use `MessagePayload.create` for raw input.
+   * @param {Object} [options={}] - Normalized options.
+   * @param {string|null} [options.content] - Text content.
+   * @param {Array<MessageEmbed|Object>} [options.embeds] - Embeds.
+   * @param {Array<MessageAttachment|{attachment: Buffer|string, name?: string}>} [options.files] - Files to upload.
+   * @param {{url: string, name?: string, size?: number}|null} [options.uploaded] - A file already uploaded.
+   * @param {string|number|null} [options.stickerId] - Sticker to send.
+   * @param {string|number|null} [options.replyTo] - Message to reply to.
+   * @param {string|null} [options.messageType] - Message type, detected by default.
+   * @param {boolean|Object} [options.split] - Split options, see `splitMessage`.
+   */
+  constructor(options = {}) {
+    /**
+     * The normalized options.
+     * @type {Object}
+     */
+    this.options = {
+      content: null,
+      embeds: [],
+      files: [],
+      uploaded: null,
+      stickerId: null,
+      replyTo: null,
+      messageType: null,
+      split: false,
+      ...options,
+    };
+  }
+
+  /**
+   * Normalizes content and options into a payload.
+   * @param {string|MessageEmbed|MessageAttachment|MessagePayload|Object} content - Text, an embed, a file,
+   * a payload, or an options object.
+   * @param {Object|MessageAttachment} [options={}] - Extra options, or a file.
+   * @param {string} [options.content] - Text content.
+   * @param {MessageEmbed|Object} [options.embed] - One embed.
+   * @param {Array<MessageEmbed|Object>} [options.embeds] - Embeds.
+   * @param {Buffer|string|MessageAttachment} [options.file] - A file: Buffer, path, base64 string or MessageAttachment.
+   * @param {string} [options.fileName] - Name of `options.file`, required for Buffers.
+   * @param {Array<MessageAttachment|{attachment: Buffer|string, name?: string}>} [options.files] - Files.
+   * @param {string} [options.fileUrl] - URL of a file already uploaded.
+   * @param {number} [options.fileSize] - Size of the file already uploaded.
+   * @param {string|number|Object} [options.sticker] - Sticker or sticker ID.
+   * @param {string|number} [options.stickerId] - Sticker ID.
+   * @param {string|number|Object} [options.replyTo] - Message or message ID to reply to.
+   * @param {string} [options.messageType] - Message type, detected by default.
+   * @param {boolean|Object} [options.split] - Split options, see `splitMessage`.
+   * @returns {MessagePayload} A new payload; payloads passed in are copied, not changed.
+   */
+  static create(content, options = {}) {
+    const base = content instanceof MessagePayload ? { ...content.options } : {};
+
+    if (typeof content === 'string') base.content = content;
+    else if (content instanceof MessageEmbed) base.embeds = [content];
+    else if (content instanceof MessageAttachment) base.files = [content];
+    else if (content && typeof content === 'object' && !(content instanceof MessagePayload)) {
+      Object.assign(base, MessagePayload._normalize(content));
+    }
+
+    const extra = options instanceof MessageAttachment
+      ? { files: [options] }
+      : MessagePayload._normalize(options || {});
+
+    return new MessagePayload({
+      ...base,
+      ...extra,
+      embeds: [...(base.embeds || []), ...(extra.embeds || [])],
+      files: [...(base.files || []), ...(extra.files || [])],
+    });
+  }
+
+  /**
+   * Maps the public option names to the normalized ones, leaving out what is not set.
+   * @private
+   */
+  static _normalize(options) {
+    const normalized = {};
+    const resolveId = value => (value && typeof value === 'object' ? value.id : value);
+
+    if (options.content !== undefined && options.content !== null) normalized.content = options.content;
+    if (options.embed || options.embeds) normalized.embeds = [].concat(options.embeds || [], options.embed || []);
+    if (options.file || options.files) {
+      const file = options.file instanceof MessageAttachment || !options.file
+        ? options.file
+        : { attachment: options.file, name: options.fileName };
+      normalized.files = [].concat(options.files || [], file || []);
+    }
+    if (options.fileUrl) {
+      normalized.uploaded = { url: options.fileUrl, name: options.fileName ?? null, size: options.fileSize ?? null };
+    }
+    if (options.sticker || options.stickerId) normalized.stickerId = resolveId(options.sticker ?? options.stickerId);
+    if (options.replyTo) normalized.replyTo = resolveId(options.replyTo);
+    if (options.messageType) normalized.messageType = options.messageType;
+    if (options.split) normalized.split = options.split;
+
+    return normalized;
+  }
+
+  /**
+   * Whether the payload has something to send.
+   * @type {boolean}
+   */
+  get isEmpty() {
+    const { content, embeds, files, uploaded, stickerId } = this.options;
+    return !content && embeds.length === 0 && files.length === 0 && !uploaded && !stickerId;
+  }
+
+  /**
+   * Checks the options, e.g. that a sticker is not sent with a file.
+   * @param {Object} [options={}] - Validation options.
+   * @param {number} [options.maxLength=2000] - Longest content accepted.
+   * @param {boolean} [options.edit=false] - Whether the payload edits a message, which only changes its content.
+   * @returns {MessagePayload} This payload.
+   * @throws {ValidationError} When the options cannot be sent together or are invalid.
+   */
+  validate({ maxLength = MAX_MESSAGE_LENGTH, edit = false } = {}) {
+    const { content, embeds, files, uploaded, stickerId, split } = this.options;
+    const fileCount = files.length + (uploaded ? 1 : 0);
+
+    if (content !== null && typeof content !== 'string') {
+      throw new ValidationError('Message content must be a string', 'INVALID_CONTENT');
+    }
+
+    if (edit) {
+      if (embeds.length > 0 || fileCount > 0 || stickerId || split) {
+        throw new ValidationError('Only the content of a message can be edited', 'INVALID_EDIT');
+      }
+      if (!content) throw new ValidationError('Message content cannot be empty', 'EMPTY_MESSAGE');
+    }
+
+    if (this.isEmpty) {
+      throw new ValidationError('Message must have content, an embed, a file or a sticker', 'EMPTY_MESSAGE');
+    }
+
+    if (embeds.length > 1) {
+      throw new ValidationError('Only one embed can be sent per message', 'TOO_MANY_EMBEDS');
+    }
+
+    if (fileCount > 1) {
+      throw new ValidationError('Only one file can be sent per message', 'TOO_MANY_FILES');
+    }
+
+    if (stickerId && (fileCount > 0 || embeds.length > 0)) {
+      throw new ValidationError('A sticker cannot be sent with a file or an embed', 'INVALID_PAYLOAD');
+    }
+
+    if (content && content.length > maxLength && !split) {
+      throw new ValidationError(
+        `Message content is ${content.length} characters long, the limit is ${maxLength}. Use the split option to send it as several messages.`,
+        'CONTENT_TOO_LONG'
+      );
+    }
+
+    for (const embed of embeds) {
+      if (!(embed instanceof MessageEmbed)) continue;
+      try {
+        embed.validate();
+      } catch (error) {
+        throw new ValidationError(`Invalid embed: ${error.message}`, 'INVALID_EMBED');
+      }
+    }
+
+    return this;
+  }
+
+  /**
+   * Splits the payload into one payload per part of its content.
+   * The reply goes on the first part; embeds, files and stickers go on the last one.
+   * @param {number} [maxLength=2000] - Longest content of a part, unless the split options set one.
+   * @returns {MessagePayload[]}
+   */
+  split(maxLength = MAX_MESSAGE_LENGTH) {
+    const { split, replyTo, content, ...rest } = this.options;
+    const parts = splitMessage(content || '', { maxLength, ...(typeof split === 'object' ? split : {}) });
+
+    return parts.map((part, i) => new MessagePayload({
+      ...(i === parts.length - 1 ? rest : {}),
+      content: part,
+      replyTo: i === 0 ? replyTo : null,
+    }));
+  }
+
+  /**
+   * Uploads the file, if any, and builds the body of a `message:send` request.
+   * @param {import('../Client')} client - The client used to upload files.
+   * @returns {Promise<Object>} The API body, without the channel ID.
+   */
+  async resolveBody(client) {
+    const { content, embeds, files, stickerId, replyTo } = this.options;
+    let uploaded = this.options.uploaded;
+    let messageType = 'text';
+    let embedData = null;
+
+    if (files.length > 0) {
+      const file = files[0];
+      const data = file instanceof MessageAttachment ? file.buffer : file.attachment;
+      const result = await client._handleFileUpload(
+        data instanceof Uint8Array && !Buffer.isBuffer(data) ? Buffer.from(data) : data,
+        file.name
+      );
+      uploaded = { url: result.url, name: result.originalName, size: result.size };
+      messageType = result.detectedType;
+    }
+
+    if (embeds.length > 0) {
+      const embed = embeds[0];
+      embedData = embed instanceof MessageEmbed ? embed.toJSON() : embed;
+      messageType = 'embed';
+    }
+
+    if (this.options.messageType && !embedData) {
+      messageType = this.options.messageType;
+    }
+
+    return {
+      content: content ?? '',
+      messageType,
+      replyTo: replyTo || null,
+      fileUrl: uploaded?.url || null,
+      fileName: uploaded?.name || null,
+      fileSize: uploaded?.size || null,
+      stickerId: stickerId || null,
+      embedData,
+    };
+  }
+}
+
+module.exports = MessagePayload;
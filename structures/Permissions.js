@@ -0,0 +1,140 @@
+const { PermissionError, ValidationError } = require('../helpers/Errors');
+
+/**
+ * Channel roles from the lowest to the highest. Each role has the capabilities of the roles below it.
+ * @type {string[]}
+ */
+const ROLES = ['member', 'moderator', 'admin', 'owner'];
+
+/**
+ * Capabilities and the lowest role that has each of them.
+ * @type {Object<string, string>}
+ */
+const FLAGS = {
+  SEND_MESSAGES: 'member',
+  ADD_MEMBERS: 'moderator',
+  KICK_MEMBERS: 'moderator',
+  DELETE_MESSAGES: 'moderator',
+  MANAGE_MEMBERS: 'admin',
+  MANAGE_CHANNEL: 'admin',
+  DELETE_CHANNEL: 'owner',
+};
+
+/**
+ * @internal
+ * The capabilities of a user in a channel, resolved from their role.
+ * @example
+ * const perms = channel.permissionsFor(client.user);
+ * if (perms.has('DELETE_MESSAGES')) await msg.delete();
+ * perms.missing(['MANAGE_CHANNEL', 'KICK_MEMBERS']); // ['MANAGE_CHANNEL']
+ */
+class Permissions {
+  /**
+   * Creates a new Permissions instance.
+   * @param {string|null} role - The role of the user, or null when they are not a member.
+   */
+  constructor(role) {
+    /**
+     * The role the capabilities come from, or null when the user is not a member.
+     * @type {string|null}
+     */
+    this.role = ROLES.includes(role) ? role : null;
+  }
+
+  /**
+   * Channel roles from the lowest to the highest.
+   * @type {string[]}
+   */
+  static get ROLES() {
+    return ROLES;
+  }
+
+  /**
+   * Capabilities and the lowest role that has each of them.
+   * @type {Object<string, string>}
+   */
+  static get FLAGS() {
+    return FLAGS;
+  }
+
+  /**
+   * Returns the position of a role in the hierarchy, -1 for unknown roles.
+   * @param {string|null} role - The role.
+   * @returns {number}
+   */
+  static rank(role) {
+    return ROLES.indexOf(role);
+  }
+
+  /**
+   * Compares two roles.
+   * @param {string|null} a - The first role.
+   * @param {string|null} b - The second role.
+   * @returns {number} Positive when `a` is higher, negative when lower, 0 when equal.
+   * @example
+   * Permissions.compareRoles('admin', 'moderator'); // 1
+   */
+  static compareRoles(a, b) {
+    return Math.sign(Permissions.rank(a) - Permissions.rank(b));
+  }
+
+  /**
+   * Checks for one or several capabilities.
+   * @param {string|string[]} permission - The capability or capabilities, all required.
+   * @returns {boolean}
+   * @throws {ValidationError} When a capability does not exist.
+   */
+  has(permission) {
+    return this.missing(permission).length === 0;
+  }
+
+  /**
+   * Returns the capabilities the role lacks.
+   * @param {string|string[]} permissions - The capabilities to check.
+   * @returns {string[]}
+   * @throws {ValidationError} When a capability does not exist.
+   */
+  missing(permissions) {
+    const rank = Permissions.rank(this.role);
+
+    return [].concat(permissions).filter(permission => {
+      if (!(permission in FLAGS)) {
+        throw new ValidationError(`Unknown permission: ${permission}`, 'INVALID_PERMISSION');
+      }
+      return rank < Permissions.rank(FLAGS[permission]);
+    });
+  }
+
+  /**
+   * Throws when the role lacks any of the capabilities.
+   * @param {string|string[]} permissions - The capabilities required.
+   * @param {string|function(string[]): string} [message] - Error message, or a function building it from the missing capabilities.
+   * @returns {Permissions} These permissions.
+   * @throws {PermissionError} With code `MISSING_PERMISSIONS` and the `missing` capabilities.
+   * @example
+   * channel.permissionsFor(msg.author).assert('KICK_MEMBERS');
+   */
+  assert(permissions, message) {
+    const missing = this.missing(permissions);
+
+    if (missing.length > 0) {
+      const text = typeof message === 'function' ? message(missing) : message;
+      throw new PermissionError(text || `Missing permissions: ${missing.join(', ')}`, 'MISSING_PERMISSIONS', {
+        status: null,
+        missing,
+      });
+    }
+
+    return this;
+  }
+
+  /**
+   * Returns every capability of the role.
+   * @returns {string[]}
+   */
+  toArray() {
+    return Object.keys(FLAGS).filter(permission => this.has(permission));
+  }
+}
+
+module.exports = Permissions;
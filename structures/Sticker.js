@@ -14,6 +14,7 @@ class Sticker {
    * @param {string[]|null} data.tags - Array of tags associated with the sticker.
    * @param {string|number|Date} data.created_at - Timestamp when the sticker was created.
    * @param {string|number|Date} data.updated_at - Timestamp when the sticker was last updated.
+   * @param {import('../Client')} [clientInstance] - The client instance.
    * @returns {Sticker} The created Sticker instance.
    * 
    * @example
@@ -27,7 +28,7 @@ class Sticker {
    *   updatedAt: '2025-09-27T15:15:45.555Z'
    * }
    */
-  constructor(data) {
+  constructor(data, clientInstance) {
     /**
      * The unique ID of the sticker.
      * @type {string|number}
@@ -56,7 +57,7 @@ class Sticker {
      * The formatted URL of the sticker image.
      * @type {string}
      */
-    this.url = formatUrl(data.url);
+    this.url = formatUrl(data.url, clientInstance?.cdnUrl);
 
     /**
      * Timestamp when the sticker was created.
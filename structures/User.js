@@ -1,5 +1,5 @@
 const { formatUrl } = require("../helpers");
-let client;
+const { userMention } = require("../helpers/Formatters");
 
 /**
  * @internal
@@ -33,12 +33,16 @@ class User {
    * }
    */
   constructor(data, clientInstance) {
-    client = clientInstance;
+    /**
+     * The client that instantiated this user.
+     * @type {import('../Client')}
+     */
+    Object.defineProperty(this, 'client', { value: clientInstance, writable: true });
 
     this.id = data.id;
     this.username = data.username;
     this.displayName = data.display_name;
-    this.avatarUrl = formatUrl(data.avatar_url);
+    this.avatarUrl = formatUrl(data.avatar_url, clientInstance?.cdnUrl);
     this.status = data.status || "offline";
     this.emblems = data.emblems || [];
     this.isBot = data.is_bot;
@@ -56,6 +60,16 @@ class User {
     return this.avatarUrl;
   }
 
+  /**
+   * Returns the mention of the user, so it can be used in message templates.
+   * @returns {string}
+   * @example
+   * channel.send(`Hello ${user}!`); // "Hello <@1>!"
+   */
+  toString() {
+    return userMention(this);
+  }
+
   /**
    * Fetches or refreshes this user from the API.
    * @param {boolean} [force=false] - Whether to force fetch even if cached.
@@ -64,8 +78,8 @@ class User {
    * const freshUser = await user.fetch();
    */
   async fetch(force = false) {
-    if (!client) throw new Error("Client instance not available.");
-    const updatedUser = await client.fetchUser(this.id, force);
+    if (!this.client) throw new Error("Client instance not available.");
+    const updatedUser = await this.client.fetchUser(this.id, force);
     Object.assign(this, updatedUser);
     return this;
   }
@@ -72,6 +72,55 @@ class MessageEmbed {
         if (data.timestamp) this.setTimestamp(data.timestamp);
     }
 
+    /**
+     * Creates an embed from the JSON of a received message, without validating it.
+     * Accepts the output of `toJSON()`, snake_case keys and JSON strings.
+     *
+     * @param {Object|string|MessageEmbed} data - Embed JSON
+     * @returns {MessageEmbed}
+     *
+     * @example
+     * const copy = MessageEmbed.fromJSON(msg.embeds[0].toJSON()).setFooter('Reposted');
+     */
+    static fromJSON(data) {
+        if (typeof data === 'string') data = JSON.parse(data);
+
+        const embed = new MessageEmbed();
+        if (!data || typeof data !== 'object') return embed;
+
+        const author = data.author;
+        const footer = data.footer;
+
+        embed.color = typeof data.color === 'number'
+            ? `#${data.color.toString(16).padStart(6, '0').toUpperCase()}`
+            : data.color ?? null;
+        embed.title = data.title ?? null;
+        embed.url = data.url ?? null;
+        embed.description = data.description ?? null;
+        embed.fields = Array.isArray(data.fields)
+            ? data.fields.map(f => ({ name: f.name, value: f.value, inline: Boolean(f.inline) }))
+            : [];
+        embed.thumbnail = data.thumbnail?.url ?? data.thumbnail ?? null;
+        embed.image = data.image?.url ?? data.image ?? null;
+
+        if (author?.name) {
+            const iconUrl = author.iconUrl ?? author.icon_url;
+            embed.author = { name: author.name };
+            if (iconUrl) embed.author.iconUrl = iconUrl;
+            if (author.url) embed.author.url = author.url;
+        }
+
+        if (footer?.text) {
+            const iconUrl = footer.iconUrl ?? footer.icon_url;
+            embed.footer = { text: footer.text };
+            if (iconUrl) embed.footer.iconUrl = iconUrl;
+        }
+
+        embed.timestamp = data.timestamp ?? null;
+
+        return embed;
+    }
+
     /**
      * Checks if a string is valid: non-empty, not disguised JSON, and optionally within a maximum length.
      * @param {string} value - The string to validate.
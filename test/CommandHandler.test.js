@@ -0,0 +1,109 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { TestHarness } = require('../testing');
+const CommandHandler = require('../structures/CommandHandler');
+
+let harness;
+let alice;
+let general;
+
+beforeEach(() => {
+  harness = new TestHarness();
+  alice = harness.server.addUser({ username: 'alice' });
+  general = harness.server.addChannel({ name: 'general' }, [alice.id]);
+});
+
+afterEach(() => harness.stop());
+
+test('logs a failing command when nothing listens for errors', async (t) => {
+  const logged = t.mock.method(console, 'error', () => {});
+  const client = await harness.start({ commands: { prefix: '!' } });
+  client.commands.register({ name: 'fail', run: () => { throw new Error('boom'); } });
+
+  harness.say(general.id, alice.id, '!fail');
+  await harness.expectNoMessage({ timeout: 200 });
+
+  assert.strictEqual(logged.mock.callCount(), 1);
+  assert.strictEqual(logged.mock.calls[0].arguments[1].message, 'boom');
+});
+
+test('emits a failing command on the client error listeners', async () => {
+  const client = await harness.start({ commands: { prefix: '!' } });
+  client.commands.register({ name: 'fail', run: () => { throw new Error('boom'); } });
+
+  const error = harness.waitForEvent('error');
+  harness.say(general.id, alice.id, '!fail');
+  assert.strictEqual((await error).message, 'boom');
+});
+
+test('ignores its own messages when the author ID is a string', async () => {
+  const client = await harness.start({ commands: { prefix: '!' } });
+  let runs = 0;
+  client.commands.register({ name: 'ping', run: () => { runs++; } });
+
+  await client.commands._handleMessage({ content: '!ping', author: { id: String(client.user.id) }, channel: null });
+  assert.strictEqual(runs, 0);
+});
+
+test('matches any of several prefixes and the channel override', async () => {
+  const client = await harness.start({ commands: { prefix: ['!', '?'] } });
+  client.commands.register({ name: 'ping', run: (msg) => msg.reply('pong') });
+
+  assert.strictEqual((await harness.sayAndWait(general.id, alice.id, '?ping')).content, 'pong');
+  harness.say(general.id, alice.id, 'ping');
+  await harness.expectNoMessage({ timeout: 200 });
+
+  client.commands.setPrefix(general.id, '$');
+  assert.strictEqual((await harness.sayAndWait(general.id, alice.id, '$ping')).content, 'pong');
+  harness.say(general.id, alice.id, '!ping');
+  await harness.expectNoMessage({ timeout: 200 });
+});
+
+test('keeps quoted text together when tokenizing', () => {
+  assert.deepStrictEqual(
+    CommandHandler.tokenize(`say "hello world" 'it\\'s' now`),
+    ['say', 'hello world', "it's", 'now']
+  );
+});
+
+test('parses typed arguments and replies when they are invalid', async () => {
+  const client = await harness.start({ commands: { prefix: '!' } });
+  client.commands.register({
+    name: 'add',
+    args: [{ name: 'a', type: 'number' }, { name: 'b', type: 'number' }],
+    run: (msg, { a, b }) => msg.reply(String(a + b)),
+  });
+  client.commands.register({
+    name: 'whois',
+    args: [{ name: 'user', type: 'user' }],
+    run: (msg, { user }) => msg.reply(user.username),
+  });
+
+  assert.strictEqual((await harness.sayAndWait(general.id, alice.id, '!add 2 3.5')).content, '5.5');
+  assert.strictEqual((await harness.sayAndWait(general.id, alice.id, '!add two 3')).content, 'Argument a must be a number');
+  assert.strictEqual((await harness.sayAndWait(general.id, alice.id, `!whois <@${alice.id}>`)).content, 'alice');
+  assert.strictEqual((await harness.sayAndWait(general.id, alice.id, '!whois nobody')).content, 'Argument user must be a user');
+});
+
+test('replies with the remaining cooldown instead of running again', async () => {
+  const client = await harness.start({ commands: { prefix: '!' } });
+  let runs = 0;
+  client.commands.register({ name: 'daily', cooldown: 60000, run: (msg) => msg.reply(`run ${++runs}`) });
+
+  assert.strictEqual((await harness.sayAndWait(general.id, alice.id, '!daily')).content, 'run 1');
+  const reply = await harness.sayAndWait(general.id, alice.id, '!daily');
+
+  assert.match(reply.content, /^Please wait 60s before using `daily` again\.$/);
+  assert.strictEqual(runs, 1);
+});
+
+test('refuses a command the author lacks the permissions for', async () => {
+  const client = await harness.start({ commands: { prefix: '!' } });
+  let runs = 0;
+  client.commands.register({ name: 'kick', permissions: 'KICK_MEMBERS', run: () => { runs++; } });
+
+  const reply = await harness.sayAndWait(general.id, alice.id, '!kick');
+
+  assert.strictEqual(reply.content, 'You need KICK_MEMBERS to use `kick`.');
+  assert.strictEqual(runs, 0);
+});
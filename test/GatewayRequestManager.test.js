@@ -0,0 +1,48 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { TestHarness } = require('../testing');
+
+let harness;
+
+beforeEach(() => {
+  harness = new TestHarness();
+});
+
+afterEach(() => harness.stop());
+
+// The mock server never answers this event, so the request stays pending
+const unanswered = (client) => client.gateway.request('mock:unanswered', {}, { idempotent: true });
+
+test('rejects held requests when the server disconnects and reconnect is off', async () => {
+  const client = await harness.start({ retryOnReconnect: true, ackTimeout: 5000 });
+  client.on('error', () => {});
+
+  const pending = unanswered(client);
+  const disconnected = harness.waitForEvent('disconnect');
+  harness.server.disconnectBot();
+  await disconnected;
+
+  await assert.rejects(pending, { name: 'GatewayError', code: 'DISCONNECTED' });
+  assert.strictEqual(client.gateway.held.size, 0);
+});
+
+test('rejects a held request once its ack timeout expires', async () => {
+  const client = await harness.start({ retryOnReconnect: true, ackTimeout: 100 });
+
+  const pending = unanswered(client);
+  client.gateway.suspend('connection lost');
+  assert.strictEqual(client.gateway.held.size, 1);
+
+  await assert.rejects(pending, { name: 'GatewayError', code: 'REQUEST_TIMEOUT' });
+  assert.strictEqual(client.gateway.held.size, 0);
+});
+
+test('replays a held request and settles it with the ack', async () => {
+  const client = await harness.start({ retryOnReconnect: true });
+
+  const pending = client.setStatus('away');
+  client.gateway.suspend('connection lost');
+  client.gateway.replay();
+
+  assert.strictEqual((await pending).status, 'away');
+});
@@ -0,0 +1,36 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const LimitedCollection = require('../helpers/LimitedCollection');
+
+test('evicts the least recently used entry', () => {
+  const users = new LimitedCollection({ maxSize: 2 });
+  users.set(1, 'a').set(2, 'b');
+  users.get(1);
+  users.set(3, 'c');
+
+  assert.deepStrictEqual([...users.keys()].sort(), [1, 3]);
+});
+
+test('can be read while iterating', () => {
+  const users = new LimitedCollection({ maxSize: 3 });
+  users.set(1, 'a').set(2, 'b').set(3, 'c');
+
+  const seen = [];
+  for (const key of users.keys()) {
+    seen.push(key);
+    users.get(key);
+    if (seen.length > 3) break;
+  }
+
+  assert.deepStrictEqual(seen, [1, 2, 3]);
+});
+
+test('keeps the Collection sweep(fn) and sweeps expired entries apart', async () => {
+  const users = new LimitedCollection({ ttl: 20 });
+  users.set(1, 'a').set(2, 'b');
+
+  assert.strictEqual(users.sweep(value => value === 'a'), 1);
+  await new Promise(resolve => setTimeout(resolve, 40));
+  assert.strictEqual(users.sweepExpired(), 1);
+  assert.strictEqual(users.size, 0);
+});
@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const FormData = require('form-data');
+const RequestManager = require('../helpers/RequestManager');
+
+/**
+ * Creates a manager whose requests are answered in turn by `responses`, each a status code
+ */
+function createManager(responses) {
+  const events = [];
+  const bodies = [];
+  const client = { emit: (event, data) => events.push(data) };
+
+  const instance = axios.create({
+    adapter: async (config) => {
+      bodies.push(config.data);
+      const status = responses.shift() ?? 200;
+      const response = { status, statusText: '', data: {}, headers: { 'retry-after': '0' }, config };
+      if (status === 429) {
+        throw new axios.AxiosError('Too Many Requests', 'ERR_BAD_REQUEST', config, null, response);
+      }
+      return response;
+    },
+  });
+
+  const manager = new RequestManager(client, instance, { offset: 0 });
+  return { manager, instance, events, bodies };
+}
+
+const createForm = () => {
+  const form = new FormData();
+  form.append('file', Buffer.from('data'), { filename: 'a.txt' });
+  return form;
+};
+
+test('keys buckets by method and route', async () => {
+  const { manager, instance } = createManager([]);
+  await instance.get('/api/channels/1/messages');
+  await instance.post('/api/channels/2/messages', {});
+
+  assert.deepStrictEqual([...manager.buckets.keys()], [
+    'GET /api/channels/:id/messages',
+    'POST /api/channels/:id/messages',
+  ]);
+});
+
+test('tells REST rate limits apart by source', async () => {
+  const { instance, events } = createManager([429]);
+  await instance.get('/api/users/1');
+
+  assert.strictEqual(events.length, 1);
+  assert.strictEqual(events[0].source, 'rest');
+  assert.strictEqual(events[0].method, 'GET');
+});
+
+test('does not retry a stream body it cannot rebuild', async () => {
+  const { instance, bodies } = createManager([429]);
+  const form = createForm();
+
+  await assert.rejects(instance.post('/api/upload', form, { headers: form.getHeaders() }), error => error.response.status === 429);
+  assert.strictEqual(bodies.length, 1);
+});
+
+test('retries a stream body with a rebuilt one', async () => {
+  const { instance, bodies } = createManager([429]);
+  const form = createForm();
+
+  const response = await instance.post('/api/upload', form, { headers: form.getHeaders(), rebuildData: createForm });
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(bodies.length, 2);
+  assert.notStrictEqual(bodies[0], bodies[1]);
+});
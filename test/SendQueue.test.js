@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const SendQueue = require('../helpers/SendQueue');
+
+test('runs sends queued after clear() while a send is in flight', async () => {
+  const queue = new SendQueue();
+  let finish;
+
+  const inFlight = queue.push('1', () => new Promise(resolve => { finish = resolve; }));
+  await new Promise(setImmediate);
+
+  queue.clear(new Error('cleared'));
+  const next = queue.push('1', async () => 'next');
+  finish('first');
+
+  await assert.rejects(inFlight, /cleared/);
+  assert.strictEqual(await next, 'next');
+});
+
+test('does not retry a cleared send that was rate limited', async () => {
+  const queue = new SendQueue({ retryDelay: 0 });
+  let attempts = 0;
+  let fail;
+
+  const sent = queue.push('1', () => {
+    attempts++;
+    return new Promise((resolve, reject) => { fail = reject; });
+  });
+  await new Promise(setImmediate);
+
+  queue.clear(new Error('cleared'));
+  fail(Object.assign(new Error('slow down'), { code: 'RATE_LIMITED', retryAfter: 0 }));
+
+  await assert.rejects(sent, /cleared/);
+  assert.strictEqual(await queue.push('1', async () => 'next'), 'next');
+  assert.strictEqual(attempts, 1);
+});
+
+test('forgets the queues of holds that are over', async () => {
+  const queue = new SendQueue();
+  queue.hold({ channelId: '1', retryAfter: 0 });
+  queue.hold({ channelId: '2', retryAfter: 0 });
+  await new Promise(resolve => setTimeout(resolve, 5));
+
+  queue.hold({ channelId: '3', retryAfter: 1000 });
+  assert.deepStrictEqual([...queue.queues.keys()], ['3']);
+});
@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const { TestHarness } = require('../testing');
+
+const root = path.join(__dirname, '..');
+const read = (file) => fs.readFileSync(path.join(root, file), 'utf8');
+
+/**
+ * Names of the events emitted in a source file, skipping comments
+ */
+function emittedEvents(file, emitter) {
+  const pattern = new RegExp(`${emitter}\\.emit\\(\\s*["']([A-Za-z]+)["']`, 'g');
+  const code = read(file)
+    .split('\n')
+    .filter(line => !/^\s*(\*|\/\/)/.test(line))
+    .join('\n');
+
+  return [...code.matchAll(pattern)].map(match => match[1]);
+}
+
+/**
+ * Keys of an interface declared in index.d.ts
+ */
+function declaredEvents(name) {
+  const body = read('index.d.ts').match(new RegExp(`interface ${name} \\{([\\s\\S]*?)\\n  \\}`))[1];
+  return [...body.matchAll(/^\s*(\w+)\s*:/gm)].map(match => match[1]);
+}
+
+const sorted = (names) => [...new Set(names)].sort();
+
+test('ClientEvents declares every event the client emits', () => {
+  const sources = ['helpers', 'structures', 'managers']
+    .flatMap(dir => fs.readdirSync(path.join(root, dir)).map(file => `${dir}/${file}`))
+    .filter(file => file.endsWith('.js'));
+
+  const emitted = [
+    ...emittedEvents('Client.js', 'this'),
+    ...['Client.js', ...sources].flatMap(file => emittedEvents(file, 'client')),
+  ];
+
+  assert.deepStrictEqual(sorted(declaredEvents('ClientEvents')), sorted(emitted));
+});
+
+test('CommandHandlerEvents declares every event the command handler emits', () => {
+  assert.deepStrictEqual(
+    sorted(declaredEvents('CommandHandlerEvents')),
+    sorted(emittedEvents('structures/CommandHandler.js', 'this'))
+  );
+});
+
+test('MessageCollectorEvents declares every event the collector emits', () => {
+  assert.deepStrictEqual(
+    sorted(declaredEvents('MessageCollectorEvents')),
+    sorted(emittedEvents('structures/MessageCollector.js', 'this'))
+  );
+});
+
+test('emits the echo of a sent message once when it is broadcast again', async (t) => {
+  const harness = new TestHarness();
+  t.after(() => harness.stop());
+  const general = harness.server.addChannel({ name: 'general' });
+  const client = await harness.start({ ignoreSelf: false });
+
+  const emitted = [];
+  client.on('messageCreate', msg => emitted.push(msg.id));
+
+  const sent = await client.sendMessage(general.id, 'hello');
+  const [raw] = harness.server.getMessages(general.id);
+  harness.server.broadcast(general.id, 'message:new', raw);
+
+  await client.socket.emitWithAck('mock:sync');
+  await client.pipeline.idle();
+  assert.deepStrictEqual(emitted, [sent.id]);
+});
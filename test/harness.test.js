@@ -0,0 +1,92 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { TestHarness } = require('../testing');
+
+let harness;
+let alice;
+let general;
+
+beforeEach(() => {
+  harness = new TestHarness();
+  alice = harness.server.addUser({ username: 'alice' });
+  general = harness.server.addChannel({ name: 'general' }, [alice.id]);
+});
+
+afterEach(() => harness.stop());
+
+test('answers a command registered on the command handler', async () => {
+  const client = await harness.start({ commands: { prefix: '!' } });
+  client.commands.register({ name: 'ping', run: (msg) => msg.reply('pong') });
+
+  const reply = await harness.sayAndWait(general.id, alice.id, '!ping');
+  assert.strictEqual(reply.content, 'pong');
+});
+
+test('sends then edits the ping reply from a messageCreate listener', async () => {
+  const client = await harness.start();
+  client.on('messageCreate', async (msg) => {
+    if (msg.author?.id === client.user?.id) return;
+    if (msg.content !== '!ping') return;
+
+    const sent = await msg.channel.send('🏓 Pinging...');
+    await sent.edit('🏓 **Pong!**');
+  });
+
+  const reply = await harness.sayAndWait(general.id, alice.id, '!ping');
+  assert.strictEqual(reply.content, '🏓 Pinging...');
+
+  const edit = await harness.waitForEvent('messageEdit');
+  assert.strictEqual(edit.content, '🏓 **Pong!**');
+  assert.deepStrictEqual(harness.sent.map(m => m.content), ['🏓 **Pong!**']);
+});
+
+test('ignores messages the bot sent itself', async () => {
+  const client = await harness.start();
+  client.on('messageCreate', msg => msg.reply('echo'));
+
+  await harness.sayAndWait(general.id, alice.id, 'hello');
+  await harness.expectNoMessage({ timeout: 200 });
+  assert.strictEqual(harness.sent.length, 1);
+});
+
+test('resolves setStatus with the server ack', async () => {
+  const client = await harness.start();
+
+  const result = await client.setStatus('dnd');
+  assert.strictEqual(result.status, 'dnd');
+  assert.strictEqual(harness.server.users.get(client.user.id).status, 'dnd');
+});
+
+test('pages channel history with before only', async () => {
+  for (let i = 0; i < 5; i++) harness.say(general.id, alice.id, `message ${i}`);
+  const client = await harness.start();
+
+  const [newest] = await client.fetchChannelMessages(general.id, { limit: 1 });
+  const older = await client.fetchChannelMessages(general.id, { limit: 2, before: newest.id });
+
+  assert.strictEqual(newest.content, 'message 4');
+  assert.deepStrictEqual(older.map(m => m.content), ['message 2', 'message 3']);
+});
+
+test('keeps the listener of a pending setStatus when socket handlers are reset', async () => {
+  const client = await harness.start();
+
+  const pending = client.setStatus('away');
+  client._setupSocketHandlers();
+
+  assert.strictEqual(client.socket.listeners('user:status-update').length, 2);
+  assert.strictEqual((await pending).status, 'away');
+});
+
+test('rejects sends held by a rate limit when the client disconnects', async () => {
+  const client = await harness.start();
+  const limited = harness.waitForEvent('rateLimited');
+  harness.server.rateLimit(5000, general.id);
+  await limited;
+
+  const sent = client.sendMessage(general.id, 'later');
+  client.disconnect();
+
+  await assert.rejects(sent, { code: 'DISCONNECTED' });
+  assert.strictEqual(harness.sent.length, 0);
+});
@@ -0,0 +1,98 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { TestHarness } = require('../testing');
+
+let harness;
+let general;
+let client;
+
+// Ten messages, one a minute, the first one at DAY
+const DAY = Date.parse('2024-01-01T00:00:00.000Z');
+const at = (minutes) => new Date(DAY + minutes * 60000).toISOString();
+
+async function collect(iterator) {
+  const messages = [];
+  for await (const msg of iterator) messages.push(msg.content);
+  return messages;
+}
+
+function readStream(stream) {
+  return new Promise((resolve, reject) => {
+    let text = '';
+    stream.on('data', chunk => { text += chunk; });
+    stream.on('end', () => resolve(text));
+    stream.on('error', reject);
+  });
+}
+
+beforeEach(async () => {
+  harness = new TestHarness();
+  const alice = harness.server.addUser({ username: 'alice' });
+  general = harness.server.addChannel({ name: 'general' }, [alice.id]);
+
+  for (let i = 0; i < 10; i++) {
+    harness.say(general.id, alice.id, `message ${i}`).created_at = at(i);
+  }
+
+  client = await harness.start();
+});
+
+afterEach(() => harness.stop());
+
+test('iterates newest first', async () => {
+  const messages = await collect(client.fetchMessageHistory(general.id, { limit: 3 }));
+  assert.deepStrictEqual(messages, ['message 9', 'message 8', 'message 7']);
+});
+
+test('skips messages newer than until when iterating backward', async () => {
+  const messages = await collect(client.fetchMessageHistory(general.id, { until: at(3) }));
+  assert.deepStrictEqual(messages, ['message 3', 'message 2', 'message 1', 'message 0']);
+});
+
+test('skips messages older than since when iterating forward', async () => {
+  const messages = await collect(client.fetchMessageHistory(general.id, { after: 0, since: at(7) }));
+  assert.deepStrictEqual(messages, ['message 7', 'message 8', 'message 9']);
+});
+
+test('iterates forward from a message with before paging only', async () => {
+  const [third] = harness.server.getMessages(general.id).slice(2);
+  const messages = await collect(client.fetchMessageHistory(general.id, { after: third.id, limit: 2, until: at(9) }));
+
+  assert.deepStrictEqual(messages, ['message 3', 'message 4']);
+  assert.ok(harness.server.requests.every(r => r.query.after === undefined && r.query.around === undefined));
+});
+
+test('yields the page around a message', async () => {
+  const [fifth] = harness.server.getMessages(general.id).slice(4);
+  const messages = await collect(client.fetchMessageHistory(general.id, { around: fifth.id, limit: 4 }));
+  assert.deepStrictEqual(messages, ['message 6', 'message 5', 'message 4', 'message 3']);
+});
+
+test('exports the history newest first', async () => {
+  const channel = await client.fetchChannel(general.id);
+  const text = await readStream(channel.export({ format: 'ndjson', since: at(2), until: at(5) }));
+  const records = text.trim().split('\n').map(line => JSON.parse(line));
+
+  assert.deepStrictEqual(records.map(r => r.content), ['message 5', 'message 4', 'message 3', 'message 2']);
+  assert.strictEqual(records[0].author.username, 'alice');
+});
+
+test('writes the first exported page before fetching the next one', async () => {
+  for (let i = 10; i < 150; i++) harness.say(general.id, harness.server.bot.id, `message ${i}`);
+  const channel = await client.fetchChannel(general.id);
+  const stream = channel.export({ format: 'ndjson' });
+  const before = harness.server.requests.length;
+
+  const [chunk, requests] = await new Promise(resolve => {
+    stream.once('data', chunk => resolve([chunk, harness.server.requests.length - before]));
+  });
+  stream.destroy();
+
+  assert.strictEqual(JSON.parse(chunk).content, 'message 149');
+  assert.strictEqual(requests, 1);
+});
+
+test('rejects an unknown export format with a ValidationError', async () => {
+  const channel = await client.fetchChannel(general.id);
+  assert.throws(() => channel.export({ format: 'pdf' }), { name: 'ValidationError', code: 'INVALID_FORMAT' });
+});
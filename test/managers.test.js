@@ -0,0 +1,79 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { TestHarness } = require('../testing');
+const Sticker = require('../structures/Sticker');
+
+let harness;
+
+beforeEach(() => {
+  harness = new TestHarness();
+});
+
+afterEach(() => harness.stop());
+
+const userRequests = () => harness.server.requests.filter(r => /^\/api\/users\/\d+$/.test(r.path));
+
+test('shares a fetch only between callers with the same options', async () => {
+  const alice = harness.server.addUser({ username: 'alice' });
+  const client = await harness.start();
+
+  const [uncached, cached, again] = await Promise.all([
+    client.users.fetch(alice.id, { cache: false }),
+    client.users.fetch(alice.id),
+    client.users.fetch(alice.id),
+  ]);
+
+  assert.strictEqual(userRequests().length, 2);
+  assert.strictEqual(cached, again);
+  assert.notStrictEqual(uncached, cached);
+  assert.strictEqual(client.users.cache.get(alice.id), cached);
+});
+
+test('asks again for an ID that was not found by default', async () => {
+  const client = await harness.start();
+  const id = 4242;
+
+  await assert.rejects(client.users.fetch(id), error => error.status === 404);
+  harness.server.addUser({ id, username: 'late' });
+
+  assert.strictEqual((await client.users.fetch(id)).username, 'late');
+});
+
+test('remembers IDs that were not found when notFoundTTL is set', async () => {
+  const client = await harness.start({ notFoundTTL: 60000 });
+
+  await assert.rejects(client.users.fetch(4242), error => error.status === 404);
+  await assert.rejects(client.users.fetch(4242), error => error.status === 404);
+
+  assert.strictEqual(userRequests().length, 1);
+});
+
+test('fetches an uncached member for fetchPermissionsFor with hydrateMembers off', async () => {
+  const alice = harness.server.addUser({ username: 'alice' });
+  const general = harness.server.addChannel({ name: 'general', created_by: alice.id });
+  const bob = harness.server.addUser({ username: 'bob' });
+  harness.server.injectMemberJoin(general.id, bob.id, 'moderator');
+  const client = await harness.start({ hydrateMembers: false });
+
+  const channel = await client.channels.fetch(general.id);
+  assert.strictEqual(channel.members.has(bob.id), false);
+  assert.strictEqual((await channel.fetchPermissionsFor(bob.id)).has('DELETE_MESSAGES'), true);
+  assert.strictEqual(channel.members.get(bob.id).role, 'moderator');
+});
+
+test('keeps stickers from gateway events in the manager', async () => {
+  const client = await harness.start();
+
+  const created = harness.waitForEvent('stickerCreate');
+  const raw = harness.server.addSticker({ name: 'wave' });
+  const sticker = await created;
+
+  assert.ok(sticker instanceof Sticker);
+  assert.strictEqual(await client.stickers.fetch(raw.id), sticker);
+
+  const deleted = harness.waitForEvent('stickerDelete');
+  harness.server.removeSticker(raw.id);
+
+  assert.strictEqual(await deleted, sticker);
+  assert.strictEqual(client.stickers.cache.has(raw.id), false);
+});
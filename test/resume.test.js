@@ -0,0 +1,46 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { TestHarness } = require('../testing');
+const { compareIds } = require('../helpers');
+
+let harness;
+let alice;
+let general;
+
+beforeEach(() => {
+  harness = new TestHarness();
+  alice = harness.server.addUser({ username: 'alice' });
+  general = harness.server.addChannel({ name: 'general' }, [alice.id]);
+});
+
+afterEach(() => harness.stop());
+
+test('replays missed messages before the ones arriving during the resume, once each', async () => {
+  const client = await harness.start();
+  const seen = harness.waitForEvent('messageCreate');
+  harness.say(general.id, alice.id, 'seen');
+  await seen;
+
+  // Stored without a broadcast, as if sent while the bot was offline
+  harness.server._createMessage(general.id, alice, { content: 'missed 1' });
+  harness.server._createMessage(general.id, alice, { content: 'missed 2' });
+
+  const received = [];
+  client.on('messageCreate', msg => received.push(msg.content));
+
+  const resumed = harness.waitForEvent('resumed');
+  client._resumeSession({ rejoin: false });
+  harness.say(general.id, alice.id, 'live');
+
+  const { replayed } = await resumed;
+  await client.pipeline.idle();
+
+  assert.deepStrictEqual(received, ['missed 1', 'missed 2', 'live']);
+  assert.ok(replayed >= 2);
+});
+
+test('compares IDs past the safe integer range', () => {
+  assert.ok(compareIds('9007199254740993', '9007199254740992') > 0);
+  assert.ok(compareIds('100', '99') > 0);
+  assert.strictEqual(compareIds(42, '42'), 0);
+});
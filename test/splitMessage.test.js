@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { splitMessage } = require('../helpers');
+
+const FENCES = /^```/gm;
+const fenceCount = (message) => (message.match(FENCES) || []).length;
+
+test('keeps text of exactly maxLength in one message', () => {
+  assert.deepStrictEqual(splitMessage('hello world', { maxLength: 11 }), ['hello world']);
+  assert.deepStrictEqual(splitMessage('hello world!', { maxLength: 11 }), ['hello', 'world!']);
+});
+
+test('splits on newlines before spaces', () => {
+  assert.deepStrictEqual(splitMessage('aaa\nbbb ccc', { maxLength: 8 }), ['aaa', 'bbb ccc']);
+  assert.deepStrictEqual(splitMessage('aaa bbb ccc', { maxLength: 7 }), ['aaa bbb', 'ccc']);
+});
+
+test('cuts a word longer than maxLength', () => {
+  const messages = splitMessage('x'.repeat(25), { maxLength: 10 });
+
+  assert.deepStrictEqual(messages, ['x'.repeat(10), 'x'.repeat(10), 'x'.repeat(5)]);
+});
+
+test('prepends to every message but the first and appends to every one but the last', () => {
+  const messages = splitMessage('aaa bbb ccc ddd', { maxLength: 12, prepend: '> ', append: ' …' });
+
+  assert.deepStrictEqual(messages, ['aaa bbb …', '> ccc ddd']);
+  assert.ok(messages.every(message => message.length <= 12));
+});
+
+test('closes and reopens a fenced block that spans a split', () => {
+  const text = 'intro\n```js\nline one\nline two\nline three\n```\noutro';
+  const messages = splitMessage(text, { maxLength: 30 });
+
+  assert.deepStrictEqual(messages, [
+    'intro\n```js\nline one\n```',
+    '```js\nline two\nline three\n```',
+    'outro',
+  ]);
+  assert.ok(messages.every(message => message.length <= 30 && fenceCount(message) % 2 === 0));
+});
+
+test('carries the fence over on its own line around prepend and append', () => {
+  const text = '```py\n' + 'print(1)\n'.repeat(6) + '```';
+  const messages = splitMessage(text, { maxLength: 30, prepend: '> ', append: ' …' });
+
+  assert.ok(messages.length > 1);
+  for (const [index, message] of messages.entries()) {
+    assert.ok(message.length <= 30);
+    assert.strictEqual(fenceCount(message), 2);
+    if (index > 0) assert.ok(message.startsWith('> \n```py\n'));
+    if (index < messages.length - 1) assert.ok(message.endsWith('\n```\n …'));
+  }
+});
+
+test('throws when prepend leaves no room for content', () => {
+  assert.throws(
+    () => splitMessage('abcdef', { maxLength: 3, prepend: '>>>>' }),
+    { name: 'ValidationError', code: 'INVALID_SPLIT' }
+  );
+});
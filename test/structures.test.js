@@ -0,0 +1,126 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { TestHarness } = require('../testing');
+const Message = require('../structures/Message');
+const Channel = require('../structures/Channel');
+const MessagePayload = require('../structures/MessagePayload');
+const { MessageEmbed } = require('../structures/Util');
+
+let harness;
+let alice;
+let general;
+
+beforeEach(() => {
+  harness = new TestHarness();
+  alice = harness.server.addUser({ username: 'alice' });
+  general = harness.server.addChannel({ name: 'general' }, [alice.id]);
+});
+
+afterEach(() => harness.stop());
+
+test('passes an independent snapshot of the message to messageEdit', async () => {
+  const client = await harness.start();
+  const created = harness.waitForEvent('messageCreate');
+  const raw = harness.say(general.id, alice.id, `hi <@${alice.id}>`, {
+    embed_data: { title: 'before', fields: [{ name: 'a', value: 'b' }] },
+  });
+  await created;
+
+  const edited = new Promise(resolve => client.once('messageEdit', (...args) => resolve(args)));
+  harness.server.injectEdit(raw.id, 'bye');
+  const [live, old] = await edited;
+
+  live.embeds[0].fields[0].value = 'changed';
+  live.attachments.push({});
+
+  assert.strictEqual(Object.getPrototypeOf(old), Message.prototype);
+  assert.strictEqual(old.client, client);
+  assert.strictEqual(live.content, 'bye');
+  assert.strictEqual(old.content, `hi <@${alice.id}>`);
+  assert.strictEqual(old.embeds[0].fields[0].value, 'b');
+  assert.strictEqual(old.attachments.length, 0);
+  assert.strictEqual(old.mentions.message, old);
+  assert.deepStrictEqual(old.mentions.userIds, [String(alice.id)]);
+  assert.deepStrictEqual(live.mentions.userIds, []);
+});
+
+test('passes the state before the update to channelUpdate', async () => {
+  const client = await harness.start();
+  const channel = await client.fetchChannel(general.id);
+  await channel.members.fetch();
+
+  const updated = new Promise(resolve => client.once('channelUpdate', (...args) => resolve(args)));
+  harness.server.injectChannelUpdate(general.id, { name: 'renamed' });
+  const [current, old] = await updated;
+
+  current.members.delete(alice.id);
+
+  assert.strictEqual(Object.getPrototypeOf(old), Channel.prototype);
+  assert.strictEqual(current.name, 'renamed');
+  assert.strictEqual(old.name, 'general');
+  assert.ok(old.members.has(alice.id));
+  assert.strictEqual(old.members.channel, old);
+});
+
+test('passes the message before its own edit and delete to the events', async () => {
+  const client = await harness.start();
+  const sent = await client.sendMessage(general.id, 'first');
+
+  const edited = new Promise(resolve => client.once('messageEdit', (...args) => resolve(args)));
+  await client.editMessage(sent.id, 'second');
+  const [live, old] = await edited;
+
+  assert.strictEqual(live.content, 'second');
+  assert.strictEqual(old.content, 'first');
+
+  const deleted = new Promise(resolve => client.once('messageDelete', (...args) => resolve(args)));
+  await client.deleteMessage(sent.id);
+  const [, message] = await deleted;
+
+  assert.strictEqual(message?.id, sent.id);
+  assert.strictEqual(message.content, 'second');
+  assert.strictEqual(client._ownChanges.size, 0);
+});
+
+test('treats the channel owner as owner whatever the type of its ID', () => {
+  const channel = new Channel({ id: 1, name: 'general', created_by: 5 });
+  const member = channel.members._add({ id: '5', username: 'alice', role: 'member' });
+
+  assert.strictEqual(member.isOwner, true);
+});
+
+test('resolves capabilities from the member role', () => {
+  const channel = new Channel({ id: 1, name: 'general', created_by: 5 });
+  channel.members._add({ id: 6, username: 'bob', role: 'moderator' });
+
+  const owner = channel.permissionsFor('5');
+  const moderator = channel.permissionsFor(6);
+  const stranger = channel.permissionsFor(7);
+
+  assert.strictEqual(owner.role, 'owner');
+  assert.ok(owner.has(['DELETE_CHANNEL', 'KICK_MEMBERS']));
+  assert.ok(moderator.has('KICK_MEMBERS'));
+  assert.deepStrictEqual(moderator.missing(['MANAGE_CHANNEL', 'DELETE_MESSAGES', 'DELETE_CHANNEL']), ['MANAGE_CHANNEL', 'DELETE_CHANNEL']);
+  assert.strictEqual(stranger.role, null);
+  assert.deepStrictEqual(stranger.toArray(), []);
+  assert.throws(() => moderator.has('FLY'), { name: 'ValidationError', code: 'INVALID_PERMISSION' });
+  assert.throws(() => moderator.assert('MANAGE_CHANNEL'), { name: 'PermissionError', code: 'MISSING_PERMISSIONS', missing: ['MANAGE_CHANNEL'] });
+});
+
+test('rejects payloads past the message limits with a ValidationError', () => {
+  const violations = [
+    [MessagePayload.create('x'.repeat(11)), { maxLength: 10 }, 'CONTENT_TOO_LONG'],
+    [MessagePayload.create({}), {}, 'EMPTY_MESSAGE'],
+    [MessagePayload.create({ content: 'a', embeds: [new MessageEmbed(), new MessageEmbed()] }), {}, 'TOO_MANY_EMBEDS'],
+    [MessagePayload.create({ content: 'a', files: ['a.txt', 'b.txt'] }), {}, 'TOO_MANY_FILES'],
+    [MessagePayload.create({ stickerId: 3, embed: new MessageEmbed().setTitle('a') }), {}, 'INVALID_PAYLOAD'],
+    [MessagePayload.create({ content: 'a', split: true }), { edit: true }, 'INVALID_EDIT'],
+  ];
+
+  for (const [payload, options, code] of violations) {
+    assert.throws(() => payload.validate(options), { name: 'ValidationError', code });
+  }
+
+  assert.doesNotThrow(() => MessagePayload.create('x'.repeat(10)).validate({ maxLength: 10 }));
+  assert.doesNotThrow(() => MessagePayload.create({ content: 'x'.repeat(11), split: true }).validate({ maxLength: 10 }));
+});
@@ -0,0 +1,95 @@
+import Beniocord = require('../..');
+
+declare const client: Beniocord;
+declare const channel: Beniocord.Channel;
+declare const message: Beniocord.Message;
+
+// Every Client event, with the payload it is emitted with
+client.on('ready', (user) => { const id: Beniocord.Snowflake = user.id; void id; });
+client.on('messageCreate', (msg) => { const content: string = msg.content; void content; });
+client.on('messageEdit', (msg, old) => { const before: Beniocord.Message | null = old; void [msg.id, before]; });
+client.on('messageDelete', (data, msg) => { const cached: Beniocord.Message | null = msg; void [data.messageId, cached]; });
+client.on('typingStart', (data) => void [data.channelId, data.userId]);
+client.on('typingStop', (data) => void [data.channelId, data.userId]);
+client.on('userStatusUpdate', (data) => { const status: Beniocord.UserStatus = data.status; void status; });
+client.on('memberJoin', ({ channel, member }) => { const role: Beniocord.MemberRole = member.role; void [channel.id, role]; });
+client.on('memberLeave', ({ channel, member }) => void [channel.id, member.username]);
+client.on('memberUpdate', ({ member, oldRole }) => { const role: Beniocord.MemberRole | null = oldRole; void [member.id, role]; });
+client.on('channelCreate', (created) => { const name: string = created.name; void name; });
+client.on('channelUpdate', (updated, old) => void [updated.name, old?.name]);
+client.on('channelDelete', (deleted) => void deleted.id);
+client.on('emojiCreate', (emoji) => void emoji.name);
+client.on('emojiDelete', (emoji) => void emoji.name);
+client.on('stickerCreate', (sticker) => void sticker.url);
+client.on('stickerDelete', (sticker) => void sticker.url);
+client.on('rateLimited', (data) => {
+  if (data.source === 'rest') {
+    const route: string = data.route;
+    void route;
+  } else {
+    const source: 'gateway' = data.source;
+    void [source, data.channelId];
+  }
+});
+client.on('raw', (packet) => { const event: string = packet.event; void event; });
+client.on('error', (error) => { const text: string = error.message; void text; });
+client.on('disconnect', (reason) => { const text: string = reason; void text; });
+client.on('reconnect', (attempt) => { const count: number = attempt; void count; });
+client.on('reconnecting', (data) => { const type: 'socket' | 'login' = data.type; void [type, data.delay]; });
+client.on('invalidated', (error) => { const code: string = error.code; void code; });
+client.on('resumed', (data) => { const replayed: number = data.replayed; void replayed; });
+client.once('ready', (user) => void user.username);
+client.off('messageCreate', (msg) => void msg);
+
+// Unknown events stay allowed, with untyped arguments
+client.on('custom', (...args) => void args);
+
+// @ts-expect-error ready carries a User
+client.on('ready', (user: Beniocord.Channel) => void user);
+// @ts-expect-error messageEdit carries the message first
+client.on('messageEdit', (old: null) => void old);
+// @ts-expect-error reconnect carries the attempt number
+client.emit('reconnect', 'again');
+// @ts-expect-error ready needs the user
+client.emit('ready');
+
+// Client
+const configured = new Beniocord({ token: 'token', ackTimeout: 5000, ignoreBots: true, hydrateMembers: false });
+const timeout: number = configured.config.ackTimeout;
+void timeout;
+
+// Messages and channels
+async function messaging() {
+  const sent: Beniocord.Message = await channel.send('hello');
+  const parts: Beniocord.Message[] = await channel.send('long', { split: true });
+  const edited: Beniocord.Message = await message.edit({ content: 'edited' });
+  const embed = new Beniocord.MessageEmbed().setTitle('title').setColor(0xff0000);
+  const withEmbed: Beniocord.Message = await channel.send({ embeds: [embed] });
+  const pieces: string[] = Beniocord.splitMessage('text', { maxLength: 100, prepend: '> ' });
+  void [sent, parts, edited, withEmbed, pieces];
+
+  for await (const msg of channel.messages.fetchHistory({ after: 0, since: Date.now() - 60000 })) {
+    void msg.createdAt;
+  }
+  channel.export({ format: 'html' }).pipe(process.stdout);
+}
+void messaging;
+
+// Managers
+async function managers() {
+  const fetched: Beniocord.Channel = await client.channels.fetch(1, { force: true });
+  const member = await fetched.members.fetch(2);
+  const members = await fetched.members.fetch(undefined, { force: true });
+  const users = await client.users.fetchMany(['1', 2]);
+  const first: Beniocord.User | undefined = users.first();
+  void [member?.username, members.size, first];
+}
+void managers;
+
+// Commands and collectors
+client.commands.register({ name: 'ping', run: (msg, args, context) => void [msg.reply('pong'), args.length, context.prefix] });
+channel.createMessageCollector({ time: 1000 }).on('end', (collected, reason) => void [collected.length, reason]);
+
+// Errors
+const error: Beniocord.ClientError = new Beniocord.RateLimitError('slow down');
+void error;
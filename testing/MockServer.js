@@ -0,0 +1,1003 @@
+const http = require('http');
+const EventEmitter = require('events');
+const { Server } = require('socket.io');
+
+/**
+ * @typedef {Object} MockRequest
+ * @property {string} method - HTTP method
+ * @property {string} path - Path without the query string
+ * @property {Object<string, string>} query - Query string parameters
+ * @property {Object<string, string>} params - Route parameters, e.g. `id`
+ * @property {*} body - Parsed JSON body, or the raw Buffer for uploads
+ * @property {http.IncomingMessage} raw - The Node.js request
+ */
+
+/**
+ * Default bot account of the mock server.
+ */
+const DEFAULT_BOT = {
+  id: 1,
+  username: 'mockbot',
+  display_name: 'Mock Bot',
+  avatar_url: null,
+  is_bot: true,
+};
+
+/**
+ * A local stand-in for the Beniocord API, speaking the REST routes and socket.io events used by the Client.
+ * State lives in memory and can be seeded and inspected by tests.
+ * Requires the `socket.io` package.
+ * @example
+ * const server = new MockServer({ token: 'test-token' });
+ * const alice = server.addUser({ username: 'alice' });
+ * const general = server.addChannel({ name: 'general' }, [alice.id]);
+ * await server.start();
+ *
+ * const client = new Beniocord({ token: 'test-token', apiUrl: server.url, cdnUrl: server.url });
+ * await client.login();
+ * server.injectMessage(general.id, alice.id, '!ping');
+ */
+class MockServer extends EventEmitter {
+  /**
+   * Creates a new MockServer.
+   * @param {Object} [options={}] - Server options
+   * @param {string} [options.token="mock-token"] - Token the bot must log in with
+   * @param {Object} [options.bot] - Raw user data of the bot account
+   * @param {number} [options.port=0] - Port to listen on, 0 picks a free one
+   * @param {string} [options.host="127.0.0.1"] - Host to listen on
+   */
+  constructor(options = {}) {
+    super();
+
+    this.token = options.token || 'mock-token';
+    this.port = options.port ?? 0;
+    this.host = options.host || '127.0.0.1';
+    this.url = null;
+
+    this.httpServer = null;
+    this.io = null;
+
+    /**
+     * Every REST request received, oldest first.
+     * @type {MockRequest[]}
+     */
+    this.requests = [];
+
+    this.users = new Map();
+    this.channels = new Map();
+    this.members = new Map();
+    this.messages = new Map();
+    this.emojis = new Map();
+    this.stickers = new Map();
+
+    // Channel ID (or '*') → timestamp until which message:send is refused
+    this._rateLimits = new Map();
+    this._nextId = 1;
+
+    this.bot = this.addUser({ ...DEFAULT_BOT, ...options.bot });
+
+    this._routes = [
+      ['GET', '/api/auth/verify', this._verify],
+      ['GET', '/api/users/me', this._getMe],
+      ['GET', '/api/users/:id', this._getUser],
+      ['GET', '/api/channels', this._getChannels],
+      ['POST', '/api/channels', this._createChannel],
+      ['GET', '/api/channels/:id', this._getChannel],
+      ['PATCH', '/api/channels/:id', this._updateChannel],
+      ['DELETE', '/api/channels/:id', this._deleteChannel],
+      ['GET', '/api/channels/:id/members', this._getMembers],
+      ['POST', '/api/channels/:id/members', this._addMember],
+      ['PATCH', '/api/channels/:id/members/:userId', this._updateMember],
+      ['DELETE', '/api/channels/:id/members/:userId', this._removeMember],
+      ['GET', '/api/channels/:id/messages', this._getMessages],
+      ['GET', '/api/channels/:id/messages/:messageId', this._getMessage],
+      ['GET', '/api/emojis/all', this._getEmojis],
+      ['GET', '/api/emojis/:id', this._getEmoji],
+      ['GET', '/api/stickers/all', this._getStickers],
+      ['GET', '/api/stickers/:id', this._getSticker],
+      ['POST', '/api/upload', this._upload],
+    ];
+  }
+
+  // ============================================================================
+  // LIFECYCLE
+  // ============================================================================
+
+  /**
+   * Starts listening for HTTP and socket.io connections
+   * @returns {Promise<string>} The URL to use as the client's `apiUrl`
+   */
+  async start() {
+    this.httpServer = http.createServer((req, res) => this._handleRequest(req, res));
+    this.io = new Server(this.httpServer, { cors: { origin: '*' } });
+
+    this.io.use((socket, next) => {
+      if (socket.handshake.auth?.token !== this.token) {
+        return next(new Error('Unauthorized'));
+      }
+      socket.data.userId = this.bot.id;
+      next();
+    });
+
+    this.io.on('connection', socket => this._setupSocket(socket));
+
+    await new Promise((resolve, reject) => {
+      this.httpServer.once('error', reject);
+      this.httpServer.listen(this.port, this.host, resolve);
+    });
+
+    const { port } = this.httpServer.address();
+    this.url = `http://${this.host}:${port}`;
+    return this.url;
+  }
+
+  /**
+   * Disconnects every socket and closes the server
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.httpServer) return;
+
+    await new Promise(resolve => this.io.close(() => resolve()));
+    this.httpServer = null;
+    this.io = null;
+  }
+
+  /**
+   * Disconnects the bot from the server side, as when its token is revoked
+   * @returns {void}
+   */
+  disconnectBot() {
+    for (const socket of this._botSockets()) {
+      socket.disconnect(true);
+    }
+  }
+
+  // ============================================================================
+  // STATE SEEDING
+  // ============================================================================
+
+  /**
+   * Adds a user account
+   * @param {Object} [data={}] - Raw user data, missing fields are generated
+   * @returns {Object} The stored user
+   */
+  addUser(data = {}) {
+    const id = data.id ?? this._generateId();
+    const user = {
+      id,
+      username: data.username || `user${id}`,
+      display_name: data.display_name ?? data.username ?? `User ${id}`,
+      avatar_url: data.avatar_url ?? null,
+      status: data.status || 'online',
+      emblems: data.emblems || [],
+      is_bot: data.is_bot ?? false,
+      last_seen: data.last_seen || new Date().toISOString(),
+      created_at: data.created_at || new Date().toISOString(),
+    };
+
+    this.users.set(id, user);
+    return user;
+  }
+
+  /**
+   * Adds a channel, the bot is always one of its members
+   * @param {Object} [data={}] - Raw channel data, missing fields are generated
+   * @param {Array<number|string>} [memberIds=[]] - Users to add as members
+   * @returns {Object} The stored channel
+   */
+  addChannel(data = {}, memberIds = []) {
+    const id = data.id ?? this._generateId();
+    const now = new Date().toISOString();
+    const channel = {
+      id,
+      name: data.name || `channel-${id}`,
+      description: data.description ?? '',
+      type: data.type || 'text',
+      icon_url: data.icon_url ?? null,
+      created_by: data.created_by ?? this.bot.id,
+      is_private: data.is_private ?? false,
+      is_locked: data.is_locked ?? false,
+      member_count: 0,
+      created_at: data.created_at || now,
+      updated_at: data.updated_at || now,
+    };
+
+    this.channels.set(id, channel);
+    this.members.set(id, new Map());
+    this.messages.set(id, []);
+
+    this._setMember(id, channel.created_by, 'owner');
+    this._setMember(id, this.bot.id, this.bot.id === channel.created_by ? 'owner' : 'member');
+    for (const userId of memberIds) {
+      if (!this.members.get(id).has(userId)) this._setMember(id, userId, 'member');
+    }
+
+    return channel;
+  }
+
+  /**
+   * Adds a custom emoji, broadcasting `emoji:create` once the server is running
+   * @param {Object} [data={}] - Raw emoji data
+   * @returns {Object} The stored emoji
+   */
+  addEmoji(data = {}) {
+    const id = data.id ?? this._generateId();
+    const emoji = {
+      id,
+      user_id: data.user_id ?? this.bot.id,
+      name: data.name || `emoji${id}`,
+      url: data.url || `/uploads/emojis/${id}.png`,
+      created_at: data.created_at || new Date().toISOString(),
+    };
+
+    this.emojis.set(id, emoji);
+    if (this.io) this.io.emit('emoji:create', emoji);
+    return emoji;
+  }
+
+  /**
+   * Adds a sticker, broadcasting `sticker:create` once the server is running
+   * @param {Object} [data={}] - Raw sticker data
+   * @returns {Object} The stored sticker
+   */
+  addSticker(data = {}) {
+    const id = data.id ?? this._generateId();
+    const now = new Date().toISOString();
+    const sticker = {
+      id,
+      user_id: data.user_id ?? this.bot.id,
+      name: data.name || `sticker${id}`,
+      url: data.url || `/uploads/stickers/${id}.png`,
+      tags: data.tags || [],
+      created_at: data.created_at || now,
+      updated_at: data.updated_at || now,
+    };
+
+    this.stickers.set(id, sticker);
+    if (this.io) this.io.emit('sticker:create', sticker);
+    return sticker;
+  }
+
+  /**
+   * Removes an emoji and broadcasts `emoji:delete`
+   * @param {number|string} emojiId - Emoji ID
+   * @returns {void}
+   */
+  removeEmoji(emojiId) {
+    const id = this._parseId(emojiId);
+    this.emojis.delete(id);
+    if (this.io) this.io.emit('emoji:delete', { emojiId: id });
+  }
+
+  /**
+   * Removes a sticker and broadcasts `sticker:delete`
+   * @param {number|string} stickerId - Sticker ID
+   * @returns {void}
+   */
+  removeSticker(stickerId) {
+    const id = this._parseId(stickerId);
+    this.stickers.delete(id);
+    if (this.io) this.io.emit('sticker:delete', { stickerId: id });
+  }
+
+  // ============================================================================
+  // EVENT INJECTION
+  // ============================================================================
+
+  /**
+   * Posts a message as a user and broadcasts `message:new`
+   * @param {number|string} channelId - Channel ID
+   * @param {number|string} userId - Author ID
+   * @param {string} content - Message content
+   * @param {Object} [extra={}] - Other raw message fields, e.g. `reply_to` or `sticker_id`
+   * @returns {Object} The stored raw message
+   */
+  injectMessage(channelId, userId, content, extra = {}) {
+    const message = this._createMessage(this._requireChannel(channelId).id, this._requireUser(userId), {
+      content,
+      ...extra,
+    });
+
+    this.broadcast(message.channel_id, 'message:new', message);
+    return message;
+  }
+
+  /**
+   * Edits a stored message and broadcasts `message:edited`
+   * @param {number|string} messageId - Message ID
+   * @param {string} content - New content
+   * @returns {Object} The updated raw message
+   */
+  injectEdit(messageId, content) {
+    const message = this._requireMessage(messageId);
+    message.content = content;
+    message.edited_at = new Date().toISOString();
+
+    this.broadcast(message.channel_id, 'message:edited', {
+      messageId: message.id,
+      channelId: message.channel_id,
+      content,
+      editedAt: message.edited_at,
+    });
+    return message;
+  }
+
+  /**
+   * Deletes a stored message and broadcasts `message:deleted`
+   * @param {number|string} messageId - Message ID
+   * @returns {void}
+   */
+  injectDelete(messageId) {
+    const message = this._requireMessage(messageId);
+    this._removeMessage(message);
+    this.broadcast(message.channel_id, 'message:deleted', {
+      messageId: message.id,
+      channelId: message.channel_id,
+    });
+  }
+
+  /**
+   * Changes a channel and broadcasts `channel:update`
+   * @param {number|string} channelId - Channel ID
+   * @param {Object} data - Raw channel fields to change
+   * @returns {Object} The updated channel
+   */
+  injectChannelUpdate(channelId, data) {
+    const channel = this._requireChannel(channelId);
+    Object.assign(channel, data, { id: channel.id, updated_at: new Date().toISOString() });
+    this.broadcast(channel.id, 'channel:update', channel);
+    return channel;
+  }
+
+  /**
+   * Adds a member to a channel and broadcasts `member:join`
+   * @param {number|string} channelId - Channel ID
+   * @param {number|string} userId - User ID
+   * @param {string} [role="member"] - Member role
+   * @returns {Object} The stored member
+   */
+  injectMemberJoin(channelId, userId, role = 'member') {
+    const channel = this._requireChannel(channelId);
+    const member = this._setMember(channel.id, this._requireUser(userId).id, role);
+    this.broadcast(channel.id, 'member:join', {
+      channelId: channel.id, memberId: member.user_id, role: member.role, joinedAt: member.joined_at,
+    });
+    return member;
+  }
+
+  /**
+   * Removes a member from a channel and broadcasts `member:leave`
+   * @param {number|string} channelId - Channel ID
+   * @param {number|string} userId - User ID
+   * @returns {void}
+   */
+  injectMemberLeave(channelId, userId) {
+    const channel = this._requireChannel(channelId);
+    const user = this._requireUser(userId);
+    this.broadcast(channel.id, 'member:leave', { channelId: channel.id, memberId: user.id });
+    this._deleteMember(channel.id, user.id);
+  }
+
+  /**
+   * Broadcasts `typing:user-start` or `typing:user-stop` for a user
+   * @param {number|string} channelId - Channel ID
+   * @param {number|string} userId - User ID
+   * @param {boolean} [typing=true] - Whether the user started or stopped typing
+   * @returns {void}
+   */
+  injectTyping(channelId, userId, typing = true) {
+    const user = this._requireUser(userId);
+    this.broadcast(this._requireChannel(channelId).id, typing ? 'typing:user-start' : 'typing:user-stop', {
+      channelId: this._parseId(channelId),
+      userId: user.id,
+      username: user.username,
+    });
+  }
+
+  /**
+   * Changes the status of a user and broadcasts `user:status-update`
+   * @param {number|string} userId - User ID
+   * @param {string} status - New status
+   * @returns {void}
+   */
+  injectStatus(userId, status) {
+    const user = this._requireUser(userId);
+    user.status = status;
+    user.last_seen = new Date().toISOString();
+    this.io.emit('user:status-update', { userId: user.id, status, lastSeen: user.last_seen });
+  }
+
+  /**
+   * Refuses `message:send` for a while and sends `rate:limited` to the bot
+   * @param {number} retryAfter - How long the limit lasts, in ms
+   * @param {number|string} [channelId] - Only limit this channel
+   * @returns {void}
+   */
+  rateLimit(retryAfter, channelId) {
+    const resetAt = Date.now() + retryAfter;
+    this._rateLimits.set(channelId !== undefined ? this._parseId(channelId) : '*', resetAt);
+
+    for (const socket of this._botSockets()) {
+      socket.emit('rate:limited', {
+        channelId: channelId !== undefined ? this._parseId(channelId) : undefined,
+        retryAfter,
+        resetAt: new Date(resetAt).toISOString(),
+      });
+    }
+  }
+
+  /**
+   * Emits an event to every socket that joined a channel
+   * @param {number|string} channelId - Channel ID
+   * @param {string} event - Event name
+   * @param {*} data - Event payload
+   * @returns {void}
+   */
+  broadcast(channelId, event, data) {
+    if (!this.io) return;
+    this.io.to(`channel:${this._parseId(channelId)}`).emit(event, data);
+  }
+
+  // ============================================================================
+  // INSPECTION
+  // ============================================================================
+
+  /**
+   * Returns the stored messages of a channel, oldest first
+   * @param {number|string} channelId - Channel ID
+   * @returns {Object[]} Raw messages
+   */
+  getMessages(channelId) {
+    return [...(this.messages.get(this._parseId(channelId)) || [])];
+  }
+
+  /**
+   * Returns the messages sent by the bot, oldest first
+   * @param {number|string} [channelId] - Only messages of this channel
+   * @returns {Object[]} Raw messages
+   */
+  getBotMessages(channelId) {
+    const channels = channelId !== undefined
+      ? [this._parseId(channelId)]
+      : [...this.messages.keys()];
+
+    return channels
+      .flatMap(id => this.messages.get(id) || [])
+      .filter(m => m.user_id === this.bot.id)
+      .sort((a, b) => a.id - b.id);
+  }
+
+  // ============================================================================
+  // PRIVATE METHODS - Socket Events
+  // ============================================================================
+
+  /**
+   * Registers the gateway events of a connected socket
+   * @private
+   */
+  _setupSocket(socket) {
+    const userId = socket.data.userId;
+
+    socket.on('channel:join', ({ channelId } = {}) => {
+      const id = this._parseId(channelId);
+      if (this.members.get(id)?.has(userId)) socket.join(`channel:${id}`);
+    });
+
+    socket.on('status:update', ({ status } = {}, ack = () => {}) => {
+      const user = this.users.get(userId);
+      user.status = status;
+      this.io.emit('user:status-update', { userId, status, lastSeen: user.last_seen });
+      ack({ userId, status, lastSeen: user.last_seen });
+    });
+
+    // Acks once every event sent before it has been handled
+    socket.on('mock:sync', (ack = () => {}) => ack());
+
+    socket.on('presence:heartbeat', data => this.emit('heartbeat', data));
+    socket.on('presence:update', data => this.emit('presenceUpdate', data));
+
+    socket.on('typing:start', ({ channelId } = {}) => {
+      const user = this.users.get(userId);
+      socket.to(`channel:${this._parseId(channelId)}`).emit('typing:user-start', {
+        channelId, userId, username: user.username,
+      });
+    });
+
+    socket.on('typing:stop', ({ channelId } = {}) => {
+      const user = this.users.get(userId);
+      socket.to(`channel:${this._parseId(channelId)}`).emit('typing:user-stop', {
+        channelId, userId, username: user.username,
+      });
+    });
+
+    socket.on('message:send', (payload = {}, ack = () => {}) => {
+      const channelId = this._parseId(payload.channelId);
+      const channel = this.channels.get(channelId);
+
+      if (!channel) return ack({ error: 'Channel not found', code: 'NOT_FOUND' });
+      if (!this.members.get(channelId).has(userId)) {
+        return ack({ error: 'You do not have permission to send messages here', code: 'FORBIDDEN' });
+      }
+
+      const resetAt = Math.max(this._rateLimits.get(channelId) || 0, this._rateLimits.get('*') || 0);
+      if (resetAt > Date.now()) {
+        return ack({ error: 'Rate limit exceeded', code: 'RATE_LIMITED', retryAfter: resetAt - Date.now() });
+      }
+
+      // A nonce seen before means the client sent the same message again
+      const duplicate = payload.nonce && this.messages.get(channelId)
+        .find(m => m.nonce === payload.nonce && m.user_id === userId);
+      if (duplicate) return ack(duplicate);
+
+      const message = this._createMessage(channelId, this.users.get(userId), {
+        content: payload.content,
+        message_type: payload.messageType,
+        reply_to: payload.replyTo,
+        file_url: payload.fileUrl,
+        file_name: payload.fileName,
+        file_size: payload.fileSize,
+        sticker_id: payload.stickerId,
+        embed_data: payload.embedData,
+        nonce: payload.nonce,
+      });
+
+      ack(message);
+      this.broadcast(channelId, 'message:new', message);
+    });
+
+    socket.on('message:edit', ({ messageId, content } = {}, ack = () => {}) => {
+      const message = this._findMessage(messageId);
+      if (!message) return ack({ error: 'Message not found', code: 'NOT_FOUND' });
+      if (message.user_id !== userId) {
+        return ack({ error: 'You do not have permission to edit this message', code: 'FORBIDDEN' });
+      }
+
+      message.content = content;
+      message.edited_at = new Date().toISOString();
+      ack(message);
+
+      this.broadcast(message.channel_id, 'message:edited', {
+        messageId: message.id,
+        channelId: message.channel_id,
+        content,
+        editedAt: message.edited_at,
+      });
+    });
+
+    socket.on('message:delete', ({ messageId } = {}, ack = () => {}) => {
+      const message = this._findMessage(messageId);
+      if (!message) return ack({ error: 'Message not found', code: 'NOT_FOUND' });
+
+      const role = this.members.get(message.channel_id).get(userId)?.role;
+      if (message.user_id !== userId && !['owner', 'admin', 'moderator'].includes(role)) {
+        return ack({ error: 'You do not have permission to delete this message', code: 'FORBIDDEN' });
+      }
+
+      this._removeMessage(message);
+      ack({ success: true, messageId: message.id, channelId: message.channel_id });
+
+      this.broadcast(message.channel_id, 'message:deleted', {
+        messageId: message.id,
+        channelId: message.channel_id,
+      });
+    });
+
+    this.emit('connection', socket);
+  }
+
+  /**
+   * @private
+   */
+  _botSockets() {
+    if (!this.io) return [];
+    return [...this.io.sockets.sockets.values()].filter(s => s.data.userId === this.bot.id);
+  }
+
+  // ============================================================================
+  // PRIVATE METHODS - REST Routes
+  // ============================================================================
+
+  /**
+   * Parses, authenticates and routes an HTTP request
+   * @private
+   */
+  async _handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    // socket.io handles its own path
+    if (url.pathname.startsWith('/socket.io/')) return;
+
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const rawBody = Buffer.concat(chunks);
+
+    const request = {
+      method: req.method,
+      path: url.pathname,
+      query: Object.fromEntries(url.searchParams),
+      params: {},
+      body: this._parseBody(req, rawBody),
+      raw: req,
+    };
+
+    this.requests.push(request);
+    this.emit('request', request);
+
+    const send = (status, data) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(data));
+    };
+
+    const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '') || req.headers['x-bot-token'];
+    if (token !== this.token) {
+      return send(401, { error: 'UNAUTHORIZED', message: 'Invalid or expired token' });
+    }
+
+    for (const [method, pattern, handler] of this._routes) {
+      const params = this._matchRoute(pattern, url.pathname);
+      if (method !== req.method || !params) continue;
+
+      request.params = params;
+      try {
+        const [status, data] = handler.call(this, request);
+        return send(status, data);
+      } catch (error) {
+        return send(500, { error: 'INTERNAL_ERROR', message: error.message });
+      }
+    }
+
+    send(404, { error: 'NOT_FOUND', message: `Cannot ${req.method} ${url.pathname}` });
+  }
+
+  /**
+   * Returns the parameters of a route pattern when it matches the path
+   * @private
+   */
+  _matchRoute(pattern, path) {
+    const patternParts = pattern.split('/');
+    const pathParts = path.replace(/\/+$/, '').split('/');
+    if (patternParts.length !== pathParts.length) return null;
+
+    const params = {};
+    for (let i = 0; i < patternParts.length; i++) {
+      if (patternParts[i].startsWith(':')) {
+        params[patternParts[i].slice(1)] = decodeURIComponent(pathParts[i]);
+      } else if (patternParts[i] !== pathParts[i]) {
+        return null;
+      }
+    }
+    return params;
+  }
+
+  /**
+   * @private
+   */
+  _parseBody(req, rawBody) {
+    if (!rawBody.length) return undefined;
+    if (!(req.headers['content-type'] || '').includes('application/json')) return rawBody;
+
+    try {
+      return JSON.parse(rawBody.toString('utf8'));
+    } catch (_) {
+      return rawBody;
+    }
+  }
+
+  /** @private */
+  _verify() {
+    return [200, { valid: true, user: this.bot }];
+  }
+
+  /** @private */
+  _getMe() {
+    return [200, this.bot];
+  }
+
+  /** @private */
+  _getUser({ params }) {
+    const user = this.users.get(this._parseId(params.id));
+    return user ? [200, user] : this._notFound('User');
+  }
+
+  /** @private */
+  _getChannels() {
+    const channels = [...this.channels.values()]
+      .filter(channel => this.members.get(channel.id).has(this.bot.id));
+    return [200, channels];
+  }
+
+  /** @private */
+  _getChannel({ params }) {
+    const channel = this.channels.get(this._parseId(params.id));
+    return channel ? [200, channel] : this._notFound('Channel');
+  }
+
+  /** @private */
+  _createChannel({ body = {} }) {
+    if (!body.name) return [400, { error: 'INVALID_CHANNEL_NAME', message: 'Channel name is required' }];
+
+    const channel = this.addChannel({ name: body.name, description: body.description, type: body.type });
+    for (const socket of this._botSockets()) socket.emit('channel:create', channel);
+    return [201, { channel }];
+  }
+
+  /** @private */
+  _updateChannel({ params, body = {} }) {
+    const channel = this.channels.get(this._parseId(params.id));
+    if (!channel) return this._notFound('Channel');
+    if (!this._hasRole(channel.id, ['owner', 'admin'])) return this._forbidden();
+
+    if (body.name !== undefined) channel.name = body.name;
+    if (body.description !== undefined) channel.description = body.description;
+    channel.updated_at = new Date().toISOString();
+
+    this.broadcast(channel.id, 'channel:update', channel);
+    return [200, { channel }];
+  }
+
+  /** @private */
+  _deleteChannel({ params }) {
+    const channel = this.channels.get(this._parseId(params.id));
+    if (!channel) return this._notFound('Channel');
+    if (!this._hasRole(channel.id, ['owner'])) return this._forbidden();
+
+    this.broadcast(channel.id, 'channel:delete', { channelId: channel.id });
+    this.channels.delete(channel.id);
+    this.members.delete(channel.id);
+    this.messages.delete(channel.id);
+    return [200, { success: true }];
+  }
+
+  /** @private */
+  _getMembers({ params }) {
+    const channelId = this._parseId(params.id);
+    const members = this.members.get(channelId);
+    if (!members) return this._notFound('Channel');
+
+    return [200, [...members.values()].map(member => ({
+      ...this.users.get(member.user_id),
+      role: member.role,
+      joined_at: member.joined_at,
+    }))];
+  }
+
+  /** @private */
+  _addMember({ params, body = {} }) {
+    const channelId = this._parseId(params.id);
+    if (!this.channels.has(channelId)) return this._notFound('Channel');
+    if (!this._hasRole(channelId, ['owner', 'admin', 'moderator'])) return this._forbidden();
+
+    const user = this.users.get(this._parseId(body.userId));
+    if (!user) return this._notFound('User');
+
+    const member = this._setMember(channelId, user.id, body.role || 'member');
+    this.broadcast(channelId, 'member:join', {
+      channelId, memberId: user.id, role: member.role, joinedAt: member.joined_at,
+    });
+    return [201, { success: true, member }];
+  }
+
+  /** @private */
+  _updateMember({ params, body = {} }) {
+    const channelId = this._parseId(params.id);
+    const member = this.members.get(channelId)?.get(this._parseId(params.userId));
+    if (!member) return this._notFound('Member');
+    if (!this._hasRole(channelId, ['owner', 'admin'])) return this._forbidden();
+
+    if (body.role) member.role = body.role;
+    this.broadcast(channelId, 'member:update', { channelId, memberId: member.user_id, role: member.role });
+    return [200, { success: true, member }];
+  }
+
+  /** @private */
+  _removeMember({ params }) {
+    const channelId = this._parseId(params.id);
+    const userId = this._parseId(params.userId);
+    if (!this.members.get(channelId)?.has(userId)) return this._notFound('Member');
+    if (userId !== this.bot.id && !this._hasRole(channelId, ['owner', 'admin', 'moderator'])) {
+      return this._forbidden();
+    }
+
+    this.broadcast(channelId, 'member:leave', { channelId, memberId: userId });
+    this._deleteMember(channelId, userId);
+    return [200, { success: true }];
+  }
+
+  /** @private */
+  _getMessages({ params, query }) {
+    const messages = this.messages.get(this._parseId(params.id));
+    if (!messages) return this._notFound('Channel');
+
+    const limit = Math.min(Number(query.limit) || 50, 100);
+
+    // Like the API, only `before` pages, other cursors are ignored
+    const older = query.before !== undefined
+      ? messages.filter(m => m.id < Number(query.before))
+      : messages;
+    return [200, older.slice(-limit)];
+  }
+
+  /** @private */
+  _getMessage({ params }) {
+    const message = (this.messages.get(this._parseId(params.id)) || [])
+      .find(m => m.id === this._parseId(params.messageId));
+    return message ? [200, message] : this._notFound('Message');
+  }
+
+  /** @private */
+  _getEmojis({ query }) {
+    return [200, this._search(this.emojis, query.search)];
+  }
+
+  /** @private */
+  _getEmoji({ params }) {
+    const emoji = this.emojis.get(this._parseId(params.id));
+    return emoji ? [200, emoji] : this._notFound('Emoji');
+  }
+
+  /** @private */
+  _getStickers({ query }) {
+    return [200, this._search(this.stickers, query.search)];
+  }
+
+  /** @private */
+  _getSticker({ params }) {
+    const sticker = this.stickers.get(this._parseId(params.id));
+    return sticker ? [200, sticker] : this._notFound('Sticker');
+  }
+
+  /**
+   * Accepts any multipart upload and returns a fake file URL
+   * @private
+   */
+  _upload({ body }) {
+    const text = Buffer.isBuffer(body) ? body.toString('latin1') : '';
+    const originalName = (text.match(/filename="([^"]*)"/) || [])[1] || 'file';
+
+    return [200, {
+      url: `/uploads/${Date.now()}-${originalName}`,
+      originalName,
+      size: Buffer.isBuffer(body) ? body.length : 0,
+    }];
+  }
+
+  // ============================================================================
+  // PRIVATE METHODS - State Helpers
+  // ============================================================================
+
+  /**
+   * Stores a new message in the flat format of the API
+   * @private
+   */
+  _createMessage(channelId, user, data) {
+    const embed = data.embed_data;
+    const message = {
+      id: this._generateId(),
+      channel_id: channelId,
+      user_id: user.id,
+      username: user.username,
+      display_name: user.display_name,
+      avatar_url: user.avatar_url,
+      is_bot: user.is_bot,
+      content: data.content ?? '',
+      message_type: data.message_type || (embed ? 'embed' : 'text'),
+      reply_to: data.reply_to ?? null,
+      file_url: data.file_url ?? null,
+      file_name: data.file_name ?? null,
+      file_size: data.file_size ?? null,
+      file_type: data.file_type ?? null,
+      sticker_id: data.sticker_id ?? null,
+      embed_data: embed && typeof embed === 'object' ? JSON.stringify(embed) : embed ?? null,
+      created_at: new Date().toISOString(),
+      edited_at: null,
+      nonce: data.nonce ?? null,
+    };
+
+    this.messages.get(channelId).push(message);
+    this.emit('messageCreate', message);
+    return message;
+  }
+
+  /** @private */
+  _findMessage(messageId) {
+    const id = this._parseId(messageId);
+    for (const messages of this.messages.values()) {
+      const message = messages.find(m => m.id === id);
+      if (message) return message;
+    }
+    return null;
+  }
+
+  /** @private */
+  _removeMessage(message) {
+    const messages = this.messages.get(message.channel_id) || [];
+    const index = messages.indexOf(message);
+    if (index !== -1) messages.splice(index, 1);
+  }
+
+  /** @private */
+  _setMember(channelId, userId, role) {
+    const members = this.members.get(channelId);
+    const member = members.get(userId) || { user_id: userId, joined_at: new Date().toISOString() };
+    member.role = role;
+    members.set(userId, member);
+    this.channels.get(channelId).member_count = members.size;
+    return member;
+  }
+
+  /** @private */
+  _deleteMember(channelId, userId) {
+    const members = this.members.get(channelId);
+    members.delete(userId);
+    this.channels.get(channelId).member_count = members.size;
+
+    if (userId === this.bot.id) {
+      for (const socket of this._botSockets()) socket.leave(`channel:${channelId}`);
+    }
+  }
+
+  /** @private */
+  _hasRole(channelId, roles) {
+    const member = this.members.get(channelId)?.get(this.bot.id);
+    return Boolean(member) && roles.includes(member.role);
+  }
+
+  /** @private */
+  _search(store, search) {
+    const values = [...store.values()];
+    if (!search) return values;
+    return values.filter(item => item.name.toLowerCase().includes(String(search).toLowerCase()));
+  }
+
+  /** @private */
+  _requireChannel(channelId) {
+    const channel = this.channels.get(this._parseId(channelId));
+    if (!channel) throw new Error(`Unknown channel ${channelId}`);
+    return channel;
+  }
+
+  /** @private */
+  _requireUser(userId) {
+    const user = this.users.get(this._parseId(userId));
+    if (!user) throw new Error(`Unknown user ${userId}`);
+    return user;
+  }
+
+  /** @private */
+  _requireMessage(messageId) {
+    const message = this._findMessage(messageId);
+    if (!message) throw new Error(`Unknown message ${messageId}`);
+    return message;
+  }
+
+  /** @private */
+  _notFound(name) {
+    return [404, { error: 'NOT_FOUND', message: `${name} not found` }];
+  }
+
+  /** @private */
+  _forbidden() {
+    return [403, { error: 'FORBIDDEN', message: 'You do not have permission to do this' }];
+  }
+
+  /**
+   * IDs are numbers, like the real API, unless they cannot be parsed as one
+   * @private
+   */
+  _parseId(id) {
+    const number = Number(id);
+    return id !== null && id !== '' && Number.isFinite(number) ? number : id;
+  }
+
+  /** @private */
+  _generateId() {
+    let id = this._nextId++;
+    while (this.users.has(id) || this.channels.has(id) || this.emojis.has(id) || this.stickers.has(id)) {
+      id = this._nextId++;
+    }
+    return id;
+  }
+}
+
+module.exports = MockServer;
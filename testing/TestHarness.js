@@ -0,0 +1,190 @@
+const Client = require('../Client');
+const MockServer = require('./MockServer');
+const { ClientError } = require('../helpers/Errors');
+
+/**
+ * Runs a Client against a {@link MockServer} so bot flows can be tested end to end without network.
+ * @example
+ * const harness = new TestHarness();
+ * const alice = harness.server.addUser({ username: 'alice' });
+ * const general = harness.server.addChannel({ name: 'general' }, [alice.id]);
+ *
+ * const client = await harness.start({ commands: { prefix: '!' } });
+ * client.commands.register({ name: 'ping', run: (msg) => msg.reply('pong') });
+ *
+ * const reply = await harness.sayAndWait(general.id, alice.id, '!ping');
+ * assert.strictEqual(reply.content, 'pong');
+ * await harness.stop();
+ */
+class TestHarness {
+  /**
+   * Creates a new TestHarness.
+   * @param {Object} [options={}] - Harness options
+   * @param {string} [options.token="mock-token"] - Token shared by the server and the client
+   * @param {Object} [options.bot] - Raw user data of the bot account
+   * @param {number} [options.timeout=2000] - Default time to wait for the bot, in ms
+   * @param {MockServer} [options.server] - Server to use instead of a new one
+   */
+  constructor(options = {}) {
+    this.token = options.token || 'mock-token';
+    this.timeout = options.timeout ?? 2000;
+
+    /**
+     * The mock server, seed it before calling `start()`.
+     * @type {MockServer}
+     */
+    this.server = options.server || new MockServer({ token: this.token, bot: options.bot });
+
+    /**
+     * The logged in client, available after `start()`.
+     * @type {Client|null}
+     */
+    this.client = null;
+  }
+
+  /**
+   * Starts the server and logs a client in to it
+   * @param {Object} [clientOptions={}] - Extra Client options
+   * @returns {Promise<Client>} The ready client
+   */
+  async start(clientOptions = {}) {
+    const url = this.server.url || await this.server.start();
+
+    this.client = new Client({
+      reconnect: false,
+      ...clientOptions,
+      token: this.token,
+      apiUrl: url,
+      cdnUrl: url,
+    });
+
+    await this.client.login();
+
+    // Channel rooms are joined without an ack, wait until the server handled them
+    await this.client.socket.emitWithAck('mock:sync');
+    return this.client;
+  }
+
+  /**
+   * Disconnects the client and stops the server
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (this.client) {
+      // Let requests the server already handled get their acks before the connection closes
+      if (this.client.socket?.connected) {
+        await this.client.socket.emitWithAck('mock:sync');
+        await this.client.pipeline.idle();
+      }
+
+      this.client.disconnect();
+      this.client.caches.destroy();
+      this.client = null;
+    }
+
+    await this.server.stop();
+  }
+
+  /**
+   * Messages the bot has sent, oldest first
+   * @type {Object[]}
+   */
+  get sent() {
+    return this.server.getBotMessages();
+  }
+
+  /**
+   * Posts a message as a user
+   * @param {number|string} channelId - Channel ID
+   * @param {number|string} userId - Author ID
+   * @param {string} content - Message content
+   * @param {Object} [extra={}] - Other raw message fields
+   * @returns {Object} The raw message
+   */
+  say(channelId, userId, content, extra = {}) {
+    return this.server.injectMessage(channelId, userId, content, extra);
+  }
+
+  /**
+   * Posts a message as a user and waits for the bot to answer in the same channel
+   * @param {number|string} channelId - Channel ID
+   * @param {number|string} userId - Author ID
+   * @param {string} content - Message content
+   * @param {Object} [options={}] - Same as `waitForMessage`
+   * @returns {Promise<Object>} The raw message the bot sent
+   */
+  async sayAndWait(channelId, userId, content, options = {}) {
+    const reply = this.waitForMessage({ channelId, ...options });
+    this.say(channelId, userId, content, options.extra);
+    return reply;
+  }
+
+  /**
+   * Waits for the bot to send a message
+   * @param {Object} [options={}] - Wait options
+   * @param {number|string} [options.channelId] - Only messages sent to this channel
+   * @param {function(Object): boolean} [options.filter] - Only messages passing this filter
+   * @param {number} [options.timeout] - Time to wait in ms, defaults to the harness timeout
+   * @returns {Promise<Object>} The raw message the bot sent
+   */
+  waitForMessage(options = {}) {
+    const channelId = options.channelId !== undefined ? Number(options.channelId) : undefined;
+
+    return this._waitFor(this.server, 'messageCreate', options.timeout, message => {
+      if (message.user_id !== this.server.bot.id) return false;
+      if (channelId !== undefined && message.channel_id !== channelId) return false;
+      return !options.filter || options.filter(message);
+    }, 'a message from the bot');
+  }
+
+  /**
+   * Waits for the client to emit an event
+   * @param {string} event - Client event name
+   * @param {Object} [options={}] - Wait options
+   * @param {function(...*): boolean} [options.filter] - Only emissions passing this filter
+   * @param {number} [options.timeout] - Time to wait in ms, defaults to the harness timeout
+   * @returns {Promise<*>} The first argument of the event
+   */
+  waitForEvent(event, options = {}) {
+    return this._waitFor(this.client, event, options.timeout, options.filter, `the ${event} event`);
+  }
+
+  /**
+   * Asserts that the bot sends nothing for a while
+   * @param {Object} [options={}] - Same as `waitForMessage`, the timeout is how long to watch
+   * @returns {Promise<void>}
+   */
+  async expectNoMessage(options = {}) {
+    const message = await this.waitForMessage(options).catch(error => {
+      if (error.code === 'HARNESS_TIMEOUT') return null;
+      throw error;
+    });
+
+    if (message) {
+      throw new ClientError(`Expected no message, but the bot sent "${message.content}"`, 'UNEXPECTED_MESSAGE');
+    }
+  }
+
+  /**
+   * @private
+   */
+  _waitFor(emitter, event, timeout = this.timeout, filter, description) {
+    return new Promise((resolve, reject) => {
+      const listener = (...args) => {
+        if (filter && !filter(...args)) return;
+        clearTimeout(timer);
+        emitter.off(event, listener);
+        resolve(args[0]);
+      };
+
+      const timer = setTimeout(() => {
+        emitter.off(event, listener);
+        reject(new ClientError(`Timed out after ${timeout}ms waiting for ${description}`, 'HARNESS_TIMEOUT'));
+      }, timeout);
+
+      emitter.on(event, listener);
+    });
+  }
+}
+
+module.exports = TestHarness;
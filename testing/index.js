@@ -0,0 +1,7 @@
+const MockServer = require('./MockServer');
+const TestHarness = require('./TestHarness');
+
+module.exports = {
+  MockServer,
+  TestHarness
+};